@@ -44,516 +44,5906 @@
     // ============================================================================
 
     /**
-     * Convert boundary to polygon coordinates
-     * Supports: L.LatLngBounds, L.Polygon, GeoJSON, Array of [lat, lng] pairs
+     * Convert boundary to a list of polygons
+     * Supports: L.LatLngBounds, L.Polygon, L.LayerGroup, GeoJSON (Polygon,
+     * MultiPolygon, Feature, FeatureCollection, GeometryCollection), WKT
+     * strings, TopoJSON ({topology, object}) and (nested) arrays of
+     * [lat, lng] pairs
+     *
+     * Returns an array of polygons, each an array of rings (outer ring first,
+     * holes after), each ring an array of [lat, lng] pairs. Throws when there
+     * is no polygon, unless allowEmpty (a live layer whose shapes were deleted).
      */
-    function normalizeBoundary(boundary) {
-        // If it's already an array of [lat, lng] pairs
+    function normalizeBoundary(boundary, allowEmpty) {
+        var polygons = collectPolygons(boundary);
+        
+        if (!polygons) {
+            throw new Error('Unsupported boundary format. Use L.LatLngBounds, L.Polygon, GeoJSON, TopoJSON, WKT, or Array of [lat, lng] pairs.');
+        }
+        
+        // Empty geometries (e.g. WKT 'POLYGON EMPTY') have no rings to clip with
+        polygons = polygons.map(function(rings) {
+            return rings.filter(function(ring) { return ring.length > 0; });
+        }).filter(function(rings) {
+            return rings.length > 0;
+        });
+        if (polygons.length === 0 && !allowEmpty) {
+            throw new Error('Boundary does not contain any polygon.');
+        }
+        
+        return polygons;
+    }
+
+    /**
+     * Collect polygons from any supported boundary format
+     * Returns null if the format is not recognised
+     */
+    function collectPolygons(boundary) {
+        // If it's an array of [lat, lng] pairs (or nested rings/polygons)
         if (Array.isArray(boundary) && boundary.length > 0) {
-            if (Array.isArray(boundary[0]) && typeof boundary[0][0] === 'number') {
-                return boundary; // Already in correct format
-            }
+            return latLngsToPolygons(boundary);
         }
         
         // If it's L.LatLngBounds, convert to rectangle polygon
         if (boundary instanceof L.LatLngBounds) {
             var sw = boundary.getSouthWest();
             var ne = boundary.getNorthEast();
-            return [
+            var midLng = (sw.lng + ne.lng) / 2;
+            // Midpoints keep wide rectangles from reading as crossing ±180°
+            return [[[
                 [sw.lat, sw.lng], // SW
-                [ne.lat, sw.lng], // SE
+                [ne.lat, sw.lng], // NW
+                [ne.lat, midLng],
                 [ne.lat, ne.lng], // NE
-                [sw.lat, ne.lng], // NW
+                [sw.lat, ne.lng], // SE
+                [sw.lat, midLng],
                 [sw.lat, sw.lng]  // Close polygon
-            ];
+            ]]];
         }
         
-        // If it's L.Polygon, extract latlngs
+        // If it's L.Polygon (or L.Rectangle), extract all rings and parts
         if (boundary instanceof L.Polygon) {
-            return boundary.getLatLngs()[0].map(function(ll) {
-                return [ll.lat, ll.lng];
-            });
+            return latLngsToPolygons(boundary.getLatLngs());
         }
         
-        // If it's GeoJSON Polygon
-        if (boundary && boundary.type === 'Polygon' && boundary.coordinates) {
-            // GeoJSON coordinates are [lng, lat], convert to [lat, lng]
-            return boundary.coordinates[0].map(function(coord) {
-                return [coord[1], coord[0]]; // [lng, lat] -> [lat, lng]
+        // If it's a WKT string, parse it to GeoJSON
+        if (typeof boundary === 'string') {
+            return collectPolygons(parseWkt(boundary));
+        }
+        
+        // If it's TopoJSON, decode one of its objects (or all of them) to GeoJSON
+        if (boundary && boundary.topology) {
+            return collectPolygons(topoJsonGeometry(boundary.topology, boundary.object));
+        }
+        if (boundary && boundary.type === 'Topology') {
+            return collectPolygons(topoJsonGeometry(boundary));
+        }
+        
+        // If it's a layer group (e.g. L.geoJSON), combine all polygon layers
+        if (boundary instanceof L.LayerGroup) {
+            var groupPolygons = [];
+            boundary.eachLayer(function(layer) {
+                var layerPolygons = collectPolygons(layer);
+                if (layerPolygons) {
+                    groupPolygons = groupPolygons.concat(layerPolygons);
+                }
             });
+            return groupPolygons;
+        }
+        
+        if (!boundary || typeof boundary.type !== 'string') {
+            return null;
+        }
+        
+        switch (boundary.type) {
+        // GeoJSON coordinates are [lng, lat], convert to [lat, lng]
+        case 'Polygon':
+            return [geoJsonRingsToLatLngs(boundary.coordinates)];
+            
+        case 'MultiPolygon':
+            return boundary.coordinates.map(geoJsonRingsToLatLngs);
+            
+        case 'Feature':
+            return boundary.geometry ? geometryPolygons(boundary.geometry) : [];
+            
+        case 'FeatureCollection':
+            return boundary.features.reduce(function(polygons, feature) {
+                return polygons.concat(geometryPolygons(feature));
+            }, []);
+            
+        case 'GeometryCollection':
+            return boundary.geometries.reduce(function(polygons, geometry) {
+                return polygons.concat(geometryPolygons(geometry));
+            }, []);
         }
         
-        // If it's GeoJSON MultiPolygon (use first polygon)
-        if (boundary && boundary.type === 'MultiPolygon' && boundary.coordinates) {
-            return boundary.coordinates[0][0].map(function(coord) {
+        return null;
+    }
+
+    /**
+     * Polygons of a GeoJSON member, ignoring non-polygonal geometries
+     */
+    function geometryPolygons(geoJson) {
+        return (geoJson && collectPolygons(geoJson)) || [];
+    }
+
+    /**
+     * Convert GeoJSON polygon rings ([lng, lat]) to [lat, lng] rings
+     */
+    function geoJsonRingsToLatLngs(rings) {
+        return rings.map(function(ring) {
+            return ring.map(function(coord) {
                 return [coord[1], coord[0]]; // [lng, lat] -> [lat, lng]
             });
+        });
+    }
+
+    /**
+     * Convert Leaflet-style (nested) latlngs to polygons
+     * Follows L.Polygon nesting: a flat ring, an array of rings (outer + holes),
+     * or an array of polygons. Items may be [lat, lng] pairs or L.LatLng.
+     */
+    function latLngsToPolygons(latlngs) {
+        var depth = latLngsDepth(latlngs);
+        
+        if (depth === 1) {
+            return [[toLatLngPairs(latlngs)]];
+        }
+        if (depth === 2) {
+            return [latlngs.map(toLatLngPairs)];
+        }
+        if (depth === 3) {
+            return latlngs.map(function(polygon) {
+                return polygon.map(toLatLngPairs);
+            });
         }
         
-        // If it's GeoJSON Feature
-        if (boundary && boundary.type === 'Feature' && boundary.geometry) {
-            return normalizeBoundary(boundary.geometry);
+        return null;
+    }
+
+    /**
+     * Nesting depth of a latlngs array (1 = flat ring)
+     */
+    function latLngsDepth(latlngs) {
+        var depth = 0;
+        var item = latlngs;
+        
+        while (Array.isArray(item) && !isLatLngLike(item)) {
+            depth++;
+            item = item[0];
         }
         
-        throw new Error('Unsupported boundary format. Use L.LatLngBounds, L.Polygon, GeoJSON, or Array of [lat, lng] pairs.');
+        return isLatLngLike(item) ? depth : 0;
+    }
+
+    function isLatLngLike(item) {
+        return item instanceof L.LatLng ||
+            (Array.isArray(item) && typeof item[0] === 'number') ||
+            (item && typeof item.lat === 'number' && typeof item.lng === 'number');
+    }
+
+    function toLatLngPairs(ring) {
+        return ring.map(function(ll) {
+            ll = L.latLng(ll);
+            return [ll.lat, ll.lng];
+        });
     }
 
     /**
-     * Project geographic coordinates to tile pixel coordinates
+     * Parse a WKT (or EWKT) geometry to GeoJSON
+     * Coordinates are read as x y = lng lat; Z and M values are dropped
      */
-    function projectToTilePixels(latlng, tileCoords, tileSize, map) {
-        var zoom = tileCoords.z;
-        var n = Math.pow(2, zoom);
+    function parseWkt(wkt) {
+        var tokens = wkt.replace(/^\s*SRID=\d+;/i, '')
+            .match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?|[a-z]+|[(),]/gi) || [];
+        var index = 0;
+        
+        function expect(token) {
+            if (tokens[index++] !== token) {
+                throw new Error('Invalid WKT: expected "' + token + '" at token ' + index);
+            }
+        }
+        
+        // Nested coordinate lists, as deep as the parentheses go
+        // (EMPTY members are empty lists)
+        function coordinates() {
+            if (/^EMPTY$/i.test(tokens[index])) {
+                index++;
+                return [];
+            }
+            if (tokens[index] !== '(') {
+                var position = [];
+                while (index < tokens.length && !/^[(),]$/.test(tokens[index])) {
+                    position.push(parseFloat(tokens[index++]));
+                }
+                if (position.length < 2 || position.some(isNaN)) {
+                    throw new Error('Invalid WKT: bad coordinate at token ' + index);
+                }
+                return position.slice(0, 2);
+            }
+            
+            index++;
+            var items = [coordinates()];
+            while (tokens[index] === ',') {
+                index++;
+                items.push(coordinates());
+            }
+            expect(')');
+            return items;
+        }
+        
+        function geometry() {
+            var type = WKT_TYPES[(tokens[index++] || '').toUpperCase()];
+            if (!type) {
+                throw new Error('Invalid WKT: unknown geometry type "' + tokens[index - 1] + '"');
+            }
+            while (/^(Z|M|ZM)$/i.test(tokens[index])) {
+                index++;
+            }
+            
+            var empty = /^EMPTY$/i.test(tokens[index]);
+            if (empty) {
+                index++;
+            }
+            
+            if (type !== 'GeometryCollection') {
+                return { type: type, coordinates: empty ? [] : coordinates() };
+            }
+            
+            var geometries = [];
+            if (!empty) {
+                expect('(');
+                geometries.push(geometry());
+                while (tokens[index] === ',') {
+                    index++;
+                    geometries.push(geometry());
+                }
+                expect(')');
+            }
+            return { type: type, geometries: geometries };
+        }
         
-        // Calculate tile bounds
-        var lonMin = (tileCoords.x / n) * 360 - 180;
-        var lonMax = ((tileCoords.x + 1) / n) * 360 - 180;
-        var latMin = Math.atan(Math.sinh(Math.PI * (1 - 2 * (tileCoords.y + 1) / n))) * 180 / Math.PI;
-        var latMax = Math.atan(Math.sinh(Math.PI * (1 - 2 * tileCoords.y / n))) * 180 / Math.PI;
+        var result = geometry();
+        if (index < tokens.length) {
+            throw new Error('Invalid WKT: unexpected "' + tokens[index] + '" at token ' + (index + 1));
+        }
+        return result;
+    }
+
+    var WKT_TYPES = {
+        POINT: 'Point',
+        LINESTRING: 'LineString',
+        POLYGON: 'Polygon',
+        MULTIPOINT: 'MultiPoint',
+        MULTILINESTRING: 'MultiLineString',
+        MULTIPOLYGON: 'MultiPolygon',
+        GEOMETRYCOLLECTION: 'GeometryCollection'
+    };
+
+    /**
+     * Decode a TopoJSON object to a GeoJSON geometry
+     * Without an object name, all objects of the topology are combined
+     */
+    function topoJsonGeometry(topology, name) {
+        var arcs = topoJsonArcs(topology);
+        var objects = topology.objects || {};
         
-        // Convert lat/lng to pixel coordinates within tile
-        var pixelX = ((latlng.lng - lonMin) / (lonMax - lonMin)) * tileSize.x;
-        var pixelY = ((latMax - latlng.lat) / (latMax - latMin)) * tileSize.y;
+        if (name !== undefined && !objects[name]) {
+            throw new Error('TopoJSON object "' + name + '" not found');
+        }
         
-        return { x: pixelX, y: pixelY };
+        var members = name !== undefined ? [objects[name]] : Object.keys(objects).map(function(key) {
+            return objects[key];
+        });
+        return {
+            type: 'GeometryCollection',
+            geometries: members.map(function(member) {
+                return topoJsonMember(arcs, member);
+            })
+        };
     }
 
     /**
-     * Check if a point is inside a polygon (ray casting algorithm)
+     * Absolute arc positions, undoing the delta encoding of quantized topologies
      */
-    function pointInPolygon(point, polygon) {
-        var x = point.x;
-        var y = point.y;
-        var inside = false;
+    function topoJsonArcs(topology) {
+        var transform = topology.transform;
         
-        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-            var xi = polygon[i].x;
-            var yi = polygon[i].y;
-            var xj = polygon[j].x;
-            var yj = polygon[j].y;
+        return (topology.arcs || []).map(function(arc) {
+            if (!transform) {
+                return arc;
+            }
             
-            var intersect = ((yi > y) !== (yj > y)) && 
-                           (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
+            var x = 0, y = 0;
+            return arc.map(function(position) {
+                x += position[0];
+                y += position[1];
+                return [
+                    x * transform.scale[0] + transform.translate[0],
+                    y * transform.scale[1] + transform.translate[1]
+                ];
+            });
+        });
+    }
+
+    function topoJsonMember(arcs, member) {
+        function ring(indexes) {
+            return indexes.reduce(function(positions, i) {
+                // Negative indexes (~i) are arcs walked backwards
+                var arc = i < 0 ? arcs[~i].slice().reverse() : arcs[i];
+                // Consecutive arcs share their end point
+                return positions.concat(positions.length ? arc.slice(1) : arc);
+            }, []);
         }
         
-        return inside;
+        switch (member.type) {
+        case 'Polygon':
+            return { type: 'Polygon', coordinates: member.arcs.map(ring) };
+            
+        case 'MultiPolygon':
+            return {
+                type: 'MultiPolygon',
+                coordinates: member.arcs.map(function(polygon) {
+                    return polygon.map(ring);
+                })
+            };
+            
+        case 'GeometryCollection':
+            return {
+                type: 'GeometryCollection',
+                geometries: member.geometries.map(function(geometry) {
+                    return topoJsonMember(arcs, geometry);
+                })
+            };
+        }
+        
+        // Points, lines and null geometries don't clip
+        return null;
     }
 
-    // ============================================================================
-    // CLIPPED WMS TILE LAYER
-    // ============================================================================
+    /**
+     * Whether a boundary is a remote descriptor: {url} or {wfs}
+     */
+    function isRemoteBoundary(boundary) {
+        return !!boundary && !(boundary instanceof L.Class) &&
+            (typeof boundary.url === 'string' || !!boundary.wfs);
+    }
 
     /**
-     * WMS Tile Layer with boundary clipping
-     * Extends L.TileLayer.WMS and clips tiles to a boundary
+     * URL of a remote boundary
+     * WFS GetFeature requests go to the layer's own URL unless wfs.url is set
      */
-    L.TileLayer.WMS.Clipped = L.TileLayer.WMS.extend({
+    function remoteBoundaryUrl(boundary, layer) {
+        if (!boundary.wfs) {
+            return boundary.url;
+        }
         
-        /**
-         * Initialize clipped WMS layer
-         * 
-         * @param {String} baseUrl - WMS server URL
-         * @param {Object} options - WMS layer options
-         * @param {L.LatLngBounds|L.Polygon|GeoJSON|Array} boundary - Boundary to clip to
-         */
-        initialize: function(baseUrl, options, boundary) {
-            // Call parent constructor
-            L.TileLayer.WMS.prototype.initialize.call(this, baseUrl, options);
+        var wfs = boundary.wfs;
+        var url = wfs.url || layer._baseUrl || layer._url;
+        var params = {
+            service: 'WFS',
+            version: '1.1.0',
+            request: 'GetFeature',
+            typeName: wfs.typeName,
+            outputFormat: 'application/json',
+            srsName: 'EPSG:4326'
+        };
+        if (wfs.cqlFilter) {
+            params.cql_filter = wfs.cqlFilter;
+        }
+        
+        return url + L.Util.getParamString(params, url);
+    }
+
+    /**
+     * Fetch a remote boundary and normalize it
+     * The response may be GeoJSON, TopoJSON (decoding `object`, if given)
+     * or WKT text. Resolves with the polygons.
+     */
+    function fetchBoundary(boundary, url) {
+        return fetch(url, boundary.fetchOptions).then(function(response) {
+            if (!response.ok) {
+                throw clipError('Failed to load boundary (HTTP ' + response.status + ')', 'load', url);
+            }
+            return response.text();
+        }, function() {
+            throw clipError('Failed to load boundary', 'load', url);
+        }).then(function(text) {
+            var data;
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                data = text;
+            }
             
-            // Normalize and store boundary
-            this._boundary = normalizeBoundary(boundary);
-            this._clipMode = options.clipMode || 'canvas'; // 'canvas' or 'css'
-            this._invertClip = options.invertClip || false; // Show outside boundary instead
+            try {
+                return normalizeBoundary(data && data.type === 'Topology' ?
+                    { topology: data, object: boundary.object } : data);
+            } catch (e) {
+                throw clipError('Invalid boundary (' + e.message + ')', 'decode', url);
+            }
+        });
+    }
+
+    /**
+     * Flatten polygons into a single list of rings
+     */
+    function boundaryRings(polygons) {
+        return polygons.reduce(function(rings, polygon) {
+            return rings.concat(polygon);
+        }, []);
+    }
+
+    /**
+     * Get the L.LatLngBounds of polygons
+     */
+    function boundaryBounds(polygons) {
+        var minLat = Infinity, maxLat = -Infinity;
+        var minLng = Infinity, maxLng = -Infinity;
+        
+        boundaryRings(polygons).forEach(function(ring) {
+            ring.forEach(function(ll) {
+                minLat = Math.min(minLat, ll[0]);
+                maxLat = Math.max(maxLat, ll[0]);
+                minLng = Math.min(minLng, ll[1]);
+                maxLng = Math.max(maxLng, ll[1]);
+            });
+        });
+        
+        return L.latLngBounds([minLat, minLng], [maxLat, maxLng]);
+    }
+
+    /**
+     * Make longitudes continuous for a CRS that wraps them (EPSG:3857, EPSG:4326)
+     * - Edges crossing ±180° take the short way, so rings continue past 180°
+     * - Holes move to the world copy of their polygon, and polygons to the copy
+     *   of the first one when that makes the boundary narrower (islands on
+     *   both sides of the antimeridian)
+     * - Rings going around a pole are closed through it
+     * 
+     * mode tells which edges cross ±180°: 'auto' (default) those jumping more
+     * than 270° of longitude, 'always' any jump over 180°, 'never' none, the
+     * polygons being returned as given
+     */
+    function unwrapPolygons(polygons, mode) {
+        if (!polygons.length || mode === 'never') {
+            return polygons;
+        }
+        
+        var unwrapped = polygons.map(function(polygon) {
+            var outer = unwrapRing(polygon[0], mode);
+            var center = ringCenterLng(outer);
             
-            // Cache for tile canvases
-            this._tileCanvases = {};
-        },
+            return [outer].concat(polygon.slice(1).map(function(hole) {
+                hole = unwrapRing(hole, mode);
+                return shiftRing(hole, 360 * Math.round((center - ringCenterLng(hole)) / 360));
+            }));
+        });
         
-        /**
-         * Create a clipped tile
-         */
-        createTile: function(coords, done) {
-            var tileSize = this.getTileSize();
-            var key = coords.z + '/' + coords.x + '/' + coords.y;
+        var first = ringCenterLng(unwrapped[0][0]);
+        var aligned = unwrapped.map(function(polygon) {
+            var shift = 360 * Math.round((first - ringCenterLng(polygon[0])) / 360);
+            return shift ? polygon.map(function(ring) { return shiftRing(ring, shift); }) : polygon;
+        });
+        
+        return lngSpan(aligned) < lngSpan(unwrapped) ? aligned : unwrapped;
+    }
+
+    /**
+     * Longitude change along an edge, the short way when it crosses ±180°
+     * Edges from -180° to 180° (or back) are left as they are here, see unwrapRing
+     */
+    function edgeLngDelta(from, to, mode) {
+        var delta = to - from;
+        var jump = Math.abs(delta);
+        
+        if (jump <= 180 || isFullTurn(from, to) || (mode !== 'always' && jump <= 270)) {
+            return delta;
+        }
+        return delta > 0 ? delta - 360 : delta + 360;
+    }
+
+    function isFullTurn(from, to) {
+        return Math.abs(from) === 180 && Math.abs(to) === 180 && from !== to;
+    }
+
+    function unwrapRing(ring, mode) {
+        var n = ring.length;
+        var deltas = [];
+        var winding = 0;
+        
+        // Longitude change along every edge, the closing edge last
+        for (var i = 0; i < n; i++) {
+            var from = ring[i][1];
+            var to = ring[(i + 1) % n][1];
+            deltas.push(edgeLngDelta(from, to, mode));
+            if (!isFullTurn(from, to)) {
+                winding += deltas[i];
+            }
+        }
+        
+        // Edges from -180° to 180° are meridians of a box spanning the whole
+        // world, unless the rest of the ring goes around the globe: then they
+        // are the seam where it closes, and cross nothing
+        var aroundGlobe = Math.abs(winding) > 180;
+        if (aroundGlobe) {
+            deltas = deltas.map(function(delta, i) {
+                return isFullTurn(ring[i][1], ring[(i + 1) % n][1]) ? 0 : delta;
+            });
+        }
+        
+        var lng = ring[0][1];
+        var unwrapped = ring.map(function(latlng, i) {
+            if (i > 0) {
+                lng += deltas[i - 1];
+            }
+            return lng === latlng[1] ? latlng : [latlng[0], lng];
+        });
+        
+        // Going once around the globe: the ring encloses the pole on its side
+        if (aroundGlobe) {
+            var first = unwrapped[0];
+            var meanLat = ring.reduce(function(sum, latlng) { return sum + latlng[0]; }, 0) / n;
+            var pole = meanLat < 0 ? -90 : 90;
+            var end = lng + deltas[n - 1];
+            unwrapped.push([first[0], end], [pole, end], [pole, first[1]]);
+        }
+        return unwrapped;
+    }
+
+    function shiftRing(ring, shift) {
+        return shift ? ring.map(function(latlng) { return [latlng[0], latlng[1] + shift]; }) : ring;
+    }
+
+    function ringCenterLng(ring) {
+        var min = Infinity, max = -Infinity;
+        ring.forEach(function(latlng) {
+            min = Math.min(min, latlng[1]);
+            max = Math.max(max, latlng[1]);
+        });
+        return (min + max) / 2;
+    }
+
+    function lngSpan(polygons) {
+        var bounds = boundaryBounds(polygons);
+        return bounds.getEast() - bounds.getWest();
+    }
+
+    /**
+     * Polygons to clip with in a CRS: for a CRS that wraps longitudes, the
+     * unwrapped polygons plus their copies one world east and west where they
+     * reach past ±180°, so tiles of every world copy are clipped
+     * mode: antimeridian mode, see unwrapPolygons
+     */
+    function worldPolygons(polygons, crs, mode) {
+        if (!crs.wrapLng) {
+            return polygons;
+        }
+        
+        var width = crs.wrapLng[1] - crs.wrapLng[0];
+        var copies = [];
+        unwrapPolygons(polygons, mode).forEach(function(polygon) {
+            var bounds = boundaryBounds([polygon]);
             
-            // Create canvas for clipping
-            var canvas = document.createElement('canvas');
-            canvas.width = tileSize.x;
-            canvas.height = tileSize.y;
-            var ctx = canvas.getContext('2d');
+            copies.push(polygon);
+            if (bounds.getEast() > crs.wrapLng[1]) {
+                copies.push(polygon.map(function(ring) { return shiftRing(ring, -width); }));
+            }
+            if (bounds.getWest() < crs.wrapLng[0]) {
+                copies.push(polygon.map(function(ring) { return shiftRing(ring, width); }));
+            }
+        });
+        return copies;
+    }
+
+    /**
+     * The boundary, unwrapped across ±180°, copied into every world that
+     * overlaps a longitude range (for a CRS that wraps longitudes)
+     */
+    function worldCopies(polygons, crs, west, east, mode) {
+        if (!crs.wrapLng) {
+            return polygons;
+        }
+        
+        var width = crs.wrapLng[1] - crs.wrapLng[0];
+        var copies = [];
+        unwrapPolygons(polygons, mode).forEach(function(polygon) {
+            var bounds = boundaryBounds([polygon]);
+            var first = Math.ceil((west - bounds.getEast()) / width);
+            var last = Math.floor((east - bounds.getWest()) / width);
             
-            // Get original tile image
-            var self = this;
-            var img = L.TileLayer.WMS.prototype.createTile.call(this, coords, function(err, tile) {
-                if (err) {
-                    done(err);
-                    return;
-                }
-                
-                // Once tile image loads, apply clipping
-                if (tile.complete) {
-                    self._applyClip(canvas, ctx, tile, coords, done);
-                } else {
-                    tile.onload = function() {
-                        self._applyClip(canvas, ctx, tile, coords, done);
-                    };
-                    tile.onerror = function() {
-                        done(new Error('Failed to load tile'));
-                    };
-                }
+            for (var i = first; i <= last; i++) {
+                copies.push(polygon.map(function(ring) { return shiftRing(ring, i * width); }));
+            }
+        });
+        return copies;
+    }
+
+    /**
+     * Bounds of the boundary in a CRS, unwrapped across ±180° and moved to
+     * the world copy nearest to a longitude (the view's center)
+     */
+    function boundaryBoundsNear(polygons, crs, lng, mode) {
+        if (!crs.wrapLng) {
+            return boundaryBounds(polygons);
+        }
+        
+        var bounds = boundaryBounds(unwrapPolygons(polygons, mode));
+        var width = crs.wrapLng[1] - crs.wrapLng[0];
+        var shift = width * Math.round((lng - bounds.getCenter().lng) / width);
+        
+        return L.latLngBounds(
+            [bounds.getSouth(), bounds.getWest() + shift],
+            [bounds.getNorth(), bounds.getEast() + shift]);
+    }
+
+    /**
+     * Create an error for the 'cliperror' event
+     * cause: 'load' (HTTP, network or CORS failure, which browsers don't tell
+     * apart), 'decode' (unusable image) or 'taint' (pixels can't be read back)
+     */
+    function clipError(message, cause, url) {
+        var error = new Error(message + (url ? ': ' + url : ''));
+        error.cause = cause;
+        error.url = url;
+        return error;
+    }
+
+    /**
+     * Create an error for pixels that can't be read back from a canvas
+     */
+    function readbackError(e, url) {
+        // Images loaded without CORS taint the canvas
+        var cause = e && e.name === 'SecurityError' ? 'taint' : 'decode';
+        return clipError('Failed to read back WMS pixels', cause, url);
+    }
+
+    /**
+     * WMS BBOX parameter for the nw/se corners
+     * Axis order flips for EPSG:4326 in WMS 1.3.0
+     */
+    function wmsBbox(nw, se, crs, version) {
+        var bounds = L.bounds(crs.project(nw), crs.project(se));
+        var min = bounds.min;
+        var max = bounds.max;
+        
+        return (version >= 1.3 && crs === L.CRS.EPSG4326 ?
+            [min.y, min.x, max.y, max.x] :
+            [min.x, min.y, max.x, max.y]).join(',');
+    }
+
+    /**
+     * Closed rings of a polygon as lists of [lng, lat] coordinates
+     */
+    function lngLatRings(polygon) {
+        return polygon.map(function(ring) {
+            var coords = ring.map(function(latlng) {
+                return [L.Util.formatNum(latlng[1], 6), L.Util.formatNum(latlng[0], 6)];
             });
+            var first = coords[0];
+            var last = coords[coords.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                coords.push(first);
+            }
+            return coords;
+        });
+    }
+
+    /**
+     * WKT MULTIPOLYGON of the boundary, in longitude/latitude order
+     */
+    function boundaryWkt(polygons) {
+        return 'MULTIPOLYGON(' + polygons.map(function(polygon) {
+            return '(' + lngLatRings(polygon).map(function(ring) {
+                return '(' + ring.map(function(coord) {
+                    return coord.join(' ');
+                }).join(',') + ')';
+            }).join(',') + ')';
+        }).join(',') + ')';
+    }
+
+    /**
+     * GML 2 MultiPolygon of the boundary, in longitude/latitude order
+     */
+    function boundaryGml(polygons) {
+        return '<gml:MultiPolygon srsName="http://www.opengis.net/gml/srs/epsg.xml#4326">' +
+            polygons.map(function(polygon) {
+                return '<gml:polygonMember><gml:Polygon>' +
+                    lngLatRings(polygon).map(function(ring, i) {
+                        var tag = i === 0 ? 'gml:outerBoundaryIs' : 'gml:innerBoundaryIs';
+                        return '<' + tag + '><gml:LinearRing><gml:coordinates>' +
+                            ring.join(' ') +
+                            '</gml:coordinates></gml:LinearRing></' + tag + '>';
+                    }).join('') +
+                    '</gml:Polygon></gml:polygonMember>';
+            }).join('') +
+            '</gml:MultiPolygon>';
+    }
+
+    /**
+     * SLD constraining each named layer to the features intersecting the
+     * boundary, keeping the layer's style
+     */
+    function clipSld(layers, styles, attribute, gml) {
+        return '<StyledLayerDescriptor version="1.0.0" xmlns="http://www.opengis.net/sld" ' +
+            'xmlns:ogc="http://www.opengis.net/ogc" xmlns:gml="http://www.opengis.net/gml">' +
+            layers.map(function(name, i) {
+                return '<NamedLayer><Name>' + escapeHtml(name) + '</Name>' +
+                    '<LayerFeatureConstraints><FeatureTypeConstraint><ogc:Filter><ogc:Intersects>' +
+                    '<ogc:PropertyName>' + escapeHtml(attribute) + '</ogc:PropertyName>' + gml +
+                    '</ogc:Intersects></ogc:Filter></FeatureTypeConstraint></LayerFeatureConstraints>' +
+                    (styles[i] ? '<NamedStyle><Name>' + escapeHtml(styles[i]) + '</Name></NamedStyle>' : '') +
+                    '</NamedLayer>';
+            }).join('') +
+            '</StyledLayerDescriptor>';
+    }
+
+    // Longest encoded server-side clip geometry sent in a GetMap URL, which
+    // servers commonly limit to 8 KB
+    var SERVER_CLIP_MAX_LENGTH = 6000;
+
+    /**
+     * Simplify normalized polygons with a tolerance in degrees
+     * Rings smaller than the tolerance vanish, with their holes for outer rings
+     */
+    function simplifyPolygons(polygons, tolerance) {
+        if (!(tolerance > 0)) {
+            return polygons;
+        }
+        
+        var simplified = polygons.map(function(polygon) {
+            return polygon.map(function(ring) {
+                var points = ring.map(function(latlng) {
+                    return L.point(latlng[1], latlng[0]);
+                });
+                return L.LineUtil.simplify(points, tolerance).map(function(point) {
+                    return [point.y, point.x];
+                });
+            });
+        });
+        return simplified.filter(function(polygon) {
+            return polygon[0].length >= 3;
+        }).map(function(polygon) {
+            return polygon.filter(function(ring) {
+                return ring.length >= 3;
+            });
+        });
+    }
+
+    /**
+     * Size of a map pixel at a zoom level in degrees, the smallest along the
+     * boundary (where the projection stretches latitudes the most)
+     */
+    function degreesPerPixel(map, zoom, polygons) {
+        var bounds = boundaryBounds(polygons);
+        var lat = Math.min(85, Math.max(Math.abs(bounds.getSouth()), Math.abs(bounds.getNorth())));
+        var point = map.project([lat, 0], zoom);
+        var latlng = map.unproject(point.add([1, 1]), zoom);
+        
+        return Math.min(Math.abs(latlng.lng), Math.abs(lat - latlng.lat));
+    }
+
+    /**
+     * Vendor parameters clipping a WMS request on the server (serverClip option)
+     * 'clip' (GeoServer clip), 'cql' (CQL_FILTER INTERSECTS, combined with any
+     * filter already set) or 'sld' (SLD_BODY feature constraints)
+     *
+     * The boundary is simplified for the zoom level of the request, like the
+     * clip path (simplifyTolerance option).
+     *
+     * Returns null when server-side clipping is off, was rejected by the server,
+     * or would remove pixels the layer shows: inverted clipping, the outside
+     * style and regions all need the outside of the boundary. Also null when
+     * the geometry is too long for a URL at that zoom level: the request is
+     * then clipped on the client only.
+     */
+    function serverClipParams(layer, zoom) {
+        var options = layer.options;
+        var mode = options.serverClip;
+        
+        if (!mode || layer._serverClipFailed || layer._invertClip || options.outsideStyle ||
+            sortedRegions(layer._regions).length) {
+            return null;
+        }
+        
+        // The geometry is encoded once per boundary and zoom level
+        var boundary = layer._boundary;
+        var geometry = layer._serverClipGeometry;
+        if (!geometry || geometry.boundary !== boundary) {
+            geometry = layer._serverClipGeometry = { boundary: boundary, encoded: {} };
+        }
+        var encodedKey = mode + ':' + (layer._map && zoom !== undefined ? zoom : '');
+        var encoded = geometry.encoded[encodedKey];
+        if (encoded === undefined) {
+            var polygons = boundary;
+            if (layer._map && zoom !== undefined) {
+                var tolerance = options.simplifyTolerance === undefined ?
+                    clipOptions.simplifyTolerance : options.simplifyTolerance;
+                polygons = simplifyPolygons(boundary, tolerance * degreesPerPixel(layer._map, zoom, boundary));
+            }
+            
+            encoded = null;
+            if (polygons.length) {
+                encoded = mode === 'sld' ? boundaryGml(polygons) : 'SRID=4326;' + boundaryWkt(polygons);
+                if (encodeURIComponent(encoded).length > SERVER_CLIP_MAX_LENGTH) {
+                    encoded = null;
+                }
+            }
+            geometry.encoded[encodedKey] = encoded;
+        }
+        if (!encoded) {
+            return null;
+        }
+        
+        var wmsParams = layer.wmsParams;
+        var layers = String(wmsParams[paramKey(wmsParams, 'layers')]).split(',');
+        var params = {};
+        var key;
+        
+        if (mode === 'clip' || mode === 'cql') {
+            var wkt = encoded;
+            
+            if (mode === 'clip') {
+                params[paramKey(wmsParams, 'clip')] = wkt;
+            } else {
+                // One filter per layer, separated by semicolons
+                key = paramKey(wmsParams, 'cql_filter');
+                var filters = wmsParams[key] ? String(wmsParams[key]).split(';') : [];
+                var clause = 'INTERSECTS(' + options.serverClipAttribute + ', ' + wkt + ')';
+                params[key] = layers.map(function(name, i) {
+                    return filters[i] ? '(' + filters[i] + ') AND ' + clause : clause;
+                }).join(';');
+            }
+        } else if (mode === 'sld') {
+            var gml = encoded;
+            
+            // The styles move into the SLD
+            key = paramKey(wmsParams, 'styles');
+            params[paramKey(wmsParams, 'sld_body')] = clipSld(layers,
+                String(wmsParams[key] || '').split(','), options.serverClipAttribute, gml);
+            params[key] = '';
+        } else {
+            throw new Error('Unknown serverClip mode: ' + mode + '. Use \'clip\', \'cql\' or \'sld\'.');
+        }
+        return params;
+    }
+
+    /**
+     * Tell whether a failed server-clipped request was refused by the server
+     * (callback(true)), or failed for another reason: a timeout, a network or
+     * server error (callback(false))
+     * Images don't expose the response, so failed loads are requested again
+     * with fetch: a 4xx status or a ServiceException document means the
+     * server refused the vendor parameter.
+     */
+    function serverClipRefused(error, callback) {
+        if (error.cause === 'decode') {
+            callback(true);
+            return;
+        }
+        if (error.cause !== 'load' || !error.url || typeof fetch !== 'function') {
+            callback(false);
+            return;
+        }
+        
+        fetch(error.url).then(function(response) {
+            if (response.status >= 400 && response.status < 500) {
+                return true;
+            }
+            return response.ok && response.text().then(function(text) {
+                return /ServiceException/.test(text);
+            });
+        }).catch(function() {
+            return false;
+        }).then(callback);
+    }
+
+    /**
+     * Fall back to client-side clipping after the server refused a clipped request
+     */
+    function rejectServerClip(layer, error) {
+        if (!layer._serverClipFailed) {
+            layer._serverClipFailed = true;
+            layer.fire('serverclipfallback', { url: error.url, cause: error.cause, error: error });
+        }
+    }
+
+    /**
+     * Build a GetFeatureInfo URL for a pixel of a GetMap request
+     *
+     * @param {String} url - WMS server URL
+     * @param {Object} wmsParams - GetMap parameters of the layer
+     * @param {Object} request - {bbox, size, point} of the image queried
+     * @param {Object} options - {infoFormat, featureCount, queryLayers, uppercase}
+     */
+    function featureInfoUrl(url, wmsParams, request, options) {
+        var version = parseFloat(wmsParams.version);
+        var params = L.extend({}, wmsParams, {
+            request: 'GetFeatureInfo',
+            query_layers: options.queryLayers || wmsParams.layers,
+            info_format: options.infoFormat,
+            feature_count: options.featureCount,
+            width: request.size.x,
+            height: request.size.y
+        });
+        
+        // WMS 1.3.0 renamed the pixel parameters
+        var point = request.point.floor();
+        params[version >= 1.3 ? 'i' : 'x'] = point.x;
+        params[version >= 1.3 ? 'j' : 'y'] = point.y;
+        
+        return url + L.Util.getParamString(params, url, options.uppercase) +
+            (options.uppercase ? '&BBOX=' : '&bbox=') + request.bbox;
+    }
+
+    /**
+     * Send a GetFeatureInfo request
+     * Resolves with {url, contentType, content}, the content parsed when it is JSON
+     */
+    function fetchFeatureInfo(url) {
+        return fetch(url).then(function(response) {
+            if (!response.ok) {
+                throw clipError('Failed to load feature info (HTTP ' + response.status + ')', 'load', url);
+            }
+            
+            var contentType = response.headers.get('Content-Type') || '';
+            var body = /json/i.test(contentType) ? response.json() : response.text();
+            
+            return body.then(function(content) {
+                return { url: url, contentType: contentType, content: content };
+            });
+        }, function() {
+            throw clipError('Failed to load feature info', 'load', url);
+        });
+    }
+
+    /**
+     * GetCapabilities URL of a WMS server
+     */
+    function capabilitiesUrl(url, wmsParams, uppercase) {
+        var params = { service: 'WMS', request: 'GetCapabilities', version: wmsParams.version };
+        return url + L.Util.getParamString(params, url, uppercase);
+    }
+
+    /**
+     * Load and parse a WMS Capabilities document
+     */
+    function fetchCapabilities(url) {
+        return fetch(url).then(function(response) {
+            if (!response.ok) {
+                throw clipError('Failed to load capabilities (HTTP ' + response.status + ')', 'load', url);
+            }
+            return response.text();
+        }, function() {
+            throw clipError('Failed to load capabilities', 'load', url);
+        }).then(function(text) {
+            try {
+                return parseCapabilities(text);
+            } catch (e) {
+                throw clipError('Invalid capabilities (' + e.message + ')', 'decode', url);
+            }
+        });
+    }
+
+    /**
+     * Parse a WMS 1.1.1 or 1.3.0 Capabilities document
+     * Returns {version, title, abstract, layers}, layers being the flat list of
+     * all layers with what they inherit from their parents:
+     * {name, title, abstract, queryable, crs, bounds, boundingBoxes, styles, dimensions}
+     */
+    function parseCapabilities(xml) {
+        var doc = new DOMParser().parseFromString(xml, 'text/xml');
+        var root = doc.documentElement;
+        
+        if (!root || doc.getElementsByTagName('parsererror').length) {
+            throw new Error('Not an XML document');
+        }
+        if (/ServiceExceptionReport/.test(root.localName)) {
+            throw new Error(root.textContent.trim());
+        }
+        if (!/^(WMS_Capabilities|WMT_MS_Capabilities)$/.test(root.localName)) {
+            throw new Error('Not a WMS Capabilities document');
+        }
+        
+        var service = childElement(root, 'Service');
+        var layers = [];
+        childElements(childElement(root, 'Capability'), 'Layer').forEach(function(layer) {
+            collectCapabilitiesLayer(layer, null, layers);
+        });
+        
+        return {
+            version: root.getAttribute('version'),
+            title: childText(service, 'Title'),
+            abstract: childText(service, 'Abstract'),
+            layers: layers
+        };
+    }
+
+    /**
+     * Add a Capabilities <Layer> and its children to the list
+     * Styles, CRS, bounding boxes and dimensions are inherited (WMS 1.3.0, 7.2.4.8)
+     */
+    function collectCapabilitiesLayer(element, parent, layers) {
+        var styles = byName(parent ? parent.styles : [], childElements(element, 'Style').map(function(style) {
+            var legend = childElement(style, 'LegendURL');
+            return {
+                name: childText(style, 'Name'),
+                title: childText(style, 'Title'),
+                abstract: childText(style, 'Abstract'),
+                legend: legend && {
+                    url: onlineResource(legend),
+                    format: childText(legend, 'Format'),
+                    width: parseInt(legend.getAttribute('width'), 10) || null,
+                    height: parseInt(legend.getAttribute('height'), 10) || null
+                }
+            };
+        }));
+        
+        // WMS 1.1.1 lists several SRS in one element, separated by spaces
+        var crs = (parent ? parent.crs : []).slice();
+        childElements(element, 'CRS').concat(childElements(element, 'SRS')).forEach(function(el) {
+            el.textContent.trim().split(/\s+/).forEach(function(code) {
+                if (code && crs.indexOf(code) < 0) {
+                    crs.push(code);
+                }
+            });
+        });
+        
+        var info = {
+            name: childText(element, 'Name'),
+            title: childText(element, 'Title'),
+            abstract: childText(element, 'Abstract'),
+            queryable: /^(1|true)$/.test(element.getAttribute('queryable')),
+            crs: crs,
+            bounds: capabilitiesBounds(element) || (parent ? parent.bounds : null),
+            boundingBoxes: byCrs(parent ? parent.boundingBoxes : [], childElements(element, 'BoundingBox').map(function(box) {
+                return {
+                    crs: box.getAttribute('CRS') || box.getAttribute('SRS'),
+                    minx: parseFloat(box.getAttribute('minx')),
+                    miny: parseFloat(box.getAttribute('miny')),
+                    maxx: parseFloat(box.getAttribute('maxx')),
+                    maxy: parseFloat(box.getAttribute('maxy'))
+                };
+            })),
+            styles: styles,
+            dimensions: byName(parent ? parent.dimensions : [], capabilitiesDimensions(element))
+        };
+        
+        layers.push(info);
+        childElements(element, 'Layer').forEach(function(child) {
+            collectCapabilitiesLayer(child, info, layers);
+        });
+    }
+
+    /**
+     * Geographic extent of a layer as L.LatLngBounds, null when not given
+     */
+    function capabilitiesBounds(element) {
+        var box = childElement(element, 'EX_GeographicBoundingBox');
+        if (box) {
+            return L.latLngBounds(
+                [parseFloat(childText(box, 'southBoundLatitude')), parseFloat(childText(box, 'westBoundLongitude'))],
+                [parseFloat(childText(box, 'northBoundLatitude')), parseFloat(childText(box, 'eastBoundLongitude'))]);
+        }
+        
+        // WMS 1.1.1
+        box = childElement(element, 'LatLonBoundingBox');
+        if (box) {
+            return L.latLngBounds(
+                [parseFloat(box.getAttribute('miny')), parseFloat(box.getAttribute('minx'))],
+                [parseFloat(box.getAttribute('maxy')), parseFloat(box.getAttribute('maxx'))]);
+        }
+        return null;
+    }
+
+    /**
+     * Dimensions of a layer: {name, units, default, values}
+     * WMS 1.1.1 keeps the values and default in a separate <Extent>
+     */
+    function capabilitiesDimensions(element) {
+        var extents = childElements(element, 'Extent');
+        
+        return childElements(element, 'Dimension').map(function(dimension) {
+            var name = dimension.getAttribute('name');
+            var extent = extents.filter(function(el) {
+                return el.getAttribute('name') === name;
+            })[0] || dimension;
+            var values = extent.textContent.trim();
+            
+            return {
+                name: name,
+                units: dimension.getAttribute('units'),
+                default: extent.getAttribute('default') || dimension.getAttribute('default'),
+                values: values ? values.split(/\s*,\s*/) : []
+            };
+        });
+    }
+
+    /**
+     * Inherited items, replaced by the child's items with the same name
+     */
+    function byName(inherited, own) {
+        return inherited.filter(function(item) {
+            return !own.some(function(ownItem) { return ownItem.name === item.name; });
+        }).concat(own);
+    }
+
+    function byCrs(inherited, own) {
+        return inherited.filter(function(item) {
+            return !own.some(function(ownItem) { return ownItem.crs === item.crs; });
+        }).concat(own);
+    }
+
+    function childElements(parent, name) {
+        return parent ? Array.prototype.filter.call(parent.childNodes, function(node) {
+            return node.nodeType === 1 && node.localName === name;
+        }) : [];
+    }
+
+    function childElement(parent, name) {
+        return childElements(parent, name)[0] || null;
+    }
+
+    function childText(parent, name) {
+        var element = childElement(parent, name);
+        return element ? element.textContent.trim() : null;
+    }
+
+    function onlineResource(parent) {
+        var resource = childElement(parent, 'OnlineResource');
+        return resource && (resource.getAttributeNS('http://www.w3.org/1999/xlink', 'href') ||
+            resource.getAttribute('xlink:href'));
+    }
+
+    /**
+     * The named layer of parsed capabilities, null when not advertised
+     */
+    function capabilitiesLayer(capabilities, name) {
+        return capabilities.layers.filter(function(layer) {
+            return layer.name === name;
+        })[0] || null;
+    }
+
+    /**
+     * GetLegendGraphic URL of a layer and style
+     */
+    function legendGraphicUrl(url, wmsParams, name, style, params) {
+        var query = L.extend({
+            service: 'WMS',
+            request: 'GetLegendGraphic',
+            version: wmsParams.version,
+            format: 'image/png',
+            layer: name
+        }, params);
+        
+        if (style) {
+            query.style = style;
+        }
+        // WMS 1.3.0 servers only support GetLegendGraphic as an SLD 1.1.0 extension
+        if (parseFloat(wmsParams.version) >= 1.3) {
+            query.sld_version = '1.1.0';
+        }
+        return url + L.Util.getParamString(query, url);
+    }
+
+    /**
+     * Default popup content for a GetFeatureInfo result
+     * GeoJSON features become property tables, HTML is sanitised unless
+     * `raw` is set, other text is shown preformatted
+     */
+    function featureInfoContent(result, raw) {
+        var content = result.content;
+        
+        if (typeof content === 'string') {
+            if (!/html/i.test(result.contentType)) {
+                return content.trim() ? '<pre>' + escapeHtml(content) + '</pre>' : null;
+            }
+            
+            // Servers answer with an empty document when nothing was hit
+            var html = raw ? content : sanitizeHtml(content);
+            var text = raw ? content.replace(/<[^>]*>/g, '') : html.textContent;
+            return text.trim() ? html : null;
+        }
+        
+        var features = content && content.features || [];
+        if (!features.length) {
+            return null;
+        }
+        
+        return features.map(function(feature) {
+            var properties = feature.properties || {};
+            var rows = Object.keys(properties).map(function(key) {
+                return '<tr><th>' + escapeHtml(key) + '</th>' +
+                    '<td>' + escapeHtml(String(properties[key])) + '</td></tr>';
+            });
+            return '<table class="leaflet-wms-feature-info">' + rows.join('') + '</table>';
+        }).join('');
+    }
+
+    // Elements kept by sanitizeHtml, elements dropped with their content
+    // (any other element is replaced by its content), and attributes kept
+    var SAFE_TAGS = /^(a|b|br|caption|code|col|colgroup|dd|div|dl|dt|em|h[1-6]|hr|i|li|ol|p|pre|small|span|strong|sub|sup|table|tbody|td|tfoot|th|thead|tr|u|ul)$/;
+    var DROPPED_TAGS = /^(script|style|template|noscript|iframe|frame|frameset|object|embed|svg|math|form|button|input|select|textarea)$/;
+    var SAFE_ATTRIBUTES = /^(class|title|colspan|rowspan|align|href)$/;
+
+    /**
+     * Sanitise HTML from a server: text, tables, lists and http(s) links
+     * are copied into a new element, scripts and event handlers are not
+     */
+    function sanitizeHtml(html) {
+        var container = document.createElement('div');
+        
+        (function copy(from, to) {
+            for (var node = from.firstChild; node; node = node.nextSibling) {
+                var tag = node.nodeName.toLowerCase();
+                
+                if (node.nodeType === 3) {
+                    to.appendChild(document.createTextNode(node.data));
+                } else if (node.nodeType !== 1 || DROPPED_TAGS.test(tag)) {
+                    continue;
+                } else if (SAFE_TAGS.test(tag)) {
+                    var element = to.appendChild(document.createElement(tag));
+                    for (var i = 0; i < node.attributes.length; i++) {
+                        var name = node.attributes[i].name.toLowerCase();
+                        var value = node.attributes[i].value;
+                        if (SAFE_ATTRIBUTES.test(name) && (name !== 'href' || /^\s*https?:/i.test(value))) {
+                            element.setAttribute(name, value);
+                        }
+                    }
+                    if (tag === 'a') {
+                        element.setAttribute('target', '_blank');
+                        element.setAttribute('rel', 'noopener noreferrer');
+                    }
+                    copy(node, element);
+                } else {
+                    copy(node, to);
+                }
+            }
+        })(new DOMParser().parseFromString(html, 'text/html').body, container);
+        
+        return container;
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    function escapeHtml(text) {
+        return text.replace(/[&<>"']/g, function(c) {
+            return '&#' + c.charCodeAt(0) + ';';
+        });
+    }
+
+    /**
+     * Query a layer at the clicked point and show the result in a popup
+     * The `featureInfo` option may be a function formatting the popup content
+     */
+    function openFeatureInfoPopup(layer, latlng) {
+        var format = typeof layer.options.featureInfo === 'function' ? layer.options.featureInfo : function(result) {
+            return featureInfoContent(result, layer.options.rawFeatureInfo);
+        };
+        
+        layer.getFeatureInfo(latlng).then(function(result) {
+            var content = result && format(result);
+            
+            if (content && layer._map) {
+                layer._map.openPopup(content, latlng);
+            }
+        }, function(error) {
+            layer.fire('featureinfoerror', { latlng: latlng, url: error.url, error: error });
+        });
+    }
+
+    /**
+     * Extent and pixel size of an image export
+     * Defaults to the map view at its current resolution; when only one of
+     * width and height is given, the other keeps the aspect ratio of the bounds
+     */
+    function exportExtent(map, options) {
+        var bounds = L.latLngBounds(options.bounds || map.getBounds());
+        var nw = bounds.getNorthWest();
+        var se = bounds.getSouthEast();
+        var pixels = map.project(se).subtract(map.project(nw));
+        
+        var width = options.width ||
+            Math.round(options.height ? options.height * pixels.x / pixels.y : pixels.x);
+        var height = options.height || Math.round(width * pixels.y / pixels.x);
+        
+        return { nw: nw, se: se, size: L.point(width, height), bounds: bounds };
+    }
+
+    /**
+     * ESRI world file (.pgw) georeferencing an image of the nw/se corners
+     * in the CRS it was requested in
+     */
+    function worldFile(nw, se, size, crs) {
+        var min = crs.project(nw);
+        var max = crs.project(se);
+        var pixelX = (max.x - min.x) / size.x;
+        var pixelY = (max.y - min.y) / size.y;
+        
+        // Coordinates are those of the center of the top-left pixel
+        return [pixelX, 0, 0, pixelY, min.x + pixelX / 2, min.y + pixelY / 2].join('\n') + '\n';
+    }
+
+    /**
+     * Resolve an export with the clipped canvas, or a Blob encoded in format,
+     * and the metadata needed to georeference it
+     */
+    function exportImage(canvas, extent, crs, format) {
+        var result = {
+            bounds: extent.bounds,
+            width: extent.size.x,
+            height: extent.size.y,
+            crs: crs.code,
+            worldFile: worldFile(extent.nw, extent.se, extent.size, crs)
+        };
+        
+        if (format === 'canvas') {
+            result.image = canvas;
+            return Promise.resolve(result);
+        }
+        
+        return new Promise(function(resolve, reject) {
+            try {
+                canvas.toBlob(function(blob) {
+                    if (!blob) {
+                        reject(clipError('Failed to encode the clipped image', 'decode'));
+                        return;
+                    }
+                    result.image = blob;
+                    resolve(result);
+                }, format || 'image/png');
+            } catch (e) {
+                reject(readbackError(e));
+            }
+        });
+    }
+
+    /**
+     * Load an image with the layer's retry, timeout and concurrency options,
+     * resolving once it is decoded
+     */
+    function loadImage(url, crossOrigin, layer) {
+        return new Promise(function(resolve, reject) {
+            layer._request(url, function(callback) {
+                return requestImage(url, crossOrigin, callback);
+            }, function(err, img) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(img);
+                }
+            });
+        });
+    }
+
+    /**
+     * Start loading an image, callback(err, img) is called once it is decoded or failed
+     * Returns a function aborting the load
+     */
+    function requestImage(url, crossOrigin, callback) {
+        var img = new Image();
+        if (crossOrigin) {
+            img.crossOrigin = crossOrigin;
+        }
+        
+        img.onload = function() {
+            if (img.naturalWidth) {
+                callback(null, img);
+            } else {
+                callback(clipError('Failed to decode WMS image', 'decode', url));
+            }
+        };
+        img.onerror = function() {
+            callback(clipError('Failed to load WMS image', 'load', url));
+        };
+        img.src = url;
+        
+        return function() {
+            img.onload = img.onerror = null;
+            img.src = L.Util.emptyImageUrl;
+        };
+    }
+
+    /**
+     * Run a request with retries, a timeout and the concurrency limit of a queue
+     * attempt(callback) starts one try, calls callback(err, result) when it is
+     * over and may return a function aborting it. The callback is called once,
+     * after the last try, unless the returned cancel function is called first.
+     *
+     * options: {retry: {count, backoff}, timeout}, in milliseconds. The backoff
+     * doubles after every failed try.
+     */
+    function retryRequest(queue, options, url, attempt, callback) {
+        var retry = L.extend({ count: 0, backoff: 0 }, options.retry);
+        var tries = 0;
+        var cancelled = false;
+        var timer = null;
+        var dequeue, abort;
+        
+        var run = function() {
+            timer = null;
+            dequeue = queue.add(function(release) {
+                var settled = false;
+                var stop = null;
+                var settle = function(err, result) {
+                    if (settled) return;
+                    settled = true;
+                    abort = null;
+                    clearTimeout(timer);
+                    release();
+                    
+                    if (cancelled) return;
+                    
+                    // Decode errors (a WMS exception instead of an image) won't go away
+                    if (err && err.cause !== 'decode' && tries < retry.count) {
+                        timer = setTimeout(run, retry.backoff * Math.pow(2, tries++));
+                    } else {
+                        callback(err, result);
+                    }
+                };
+                
+                abort = function(err) {
+                    settle(err);
+                    if (stop) stop();
+                };
+                stop = attempt(settle);
+                
+                if (options.timeout > 0 && !settled) {
+                    timer = setTimeout(function() {
+                        abort(clipError('Request timed out', 'timeout', url));
+                    }, options.timeout);
+                }
+            });
+        };
+        run();
+        
+        return function() {
+            cancelled = true;
+            clearTimeout(timer);
+            dequeue();
+            if (abort) abort(null);
+        };
+    }
+
+    /**
+     * Requests waiting for one of a limited number of slots (0 = unlimited)
+     */
+    var RequestQueue = L.Class.extend({
+        
+        initialize: function(maxConcurrent) {
+            this._maxConcurrent = maxConcurrent || 0;
+            this._active = 0;
+            this._waiting = [];
+        },
+        
+        /**
+         * Call start(release) once a slot is free, release() frees it again
+         * Returns a function removing the request from the queue if it hasn't started
+         */
+        add: function(start) {
+            var waiting = this._waiting;
+            waiting.push(start);
+            this._next();
+            
+            return function() {
+                var index = waiting.indexOf(start);
+                if (index >= 0) {
+                    waiting.splice(index, 1);
+                }
+            };
+        },
+        
+        _next: function() {
+            while (this._waiting.length && (!this._maxConcurrent || this._active < this._maxConcurrent)) {
+                this._active++;
+                this._waiting.shift()(this._releaser());
+            }
+        },
+        
+        _releaser: function() {
+            var released = false;
+            
+            return L.Util.bind(function() {
+                if (!released) {
+                    released = true;
+                    this._active--;
+                    this._next();
+                }
+            }, this);
+        }
+    });
+
+    /**
+     * Start loading the fallbackTile image, if it is a URL
+     * Resolves with the image once loaded, null without one or when it fails
+     */
+    function fallbackImage(fallback) {
+        if (!fallback || fallback === 'checkerboard') {
+            return Promise.resolve(null);
+        }
+        return new Promise(function(resolve) {
+            var img = new Image();
+            img.onload = function() { resolve(img); };
+            img.onerror = function() { resolve(null); };
+            img.src = fallback;
+        });
+    }
+
+    /**
+     * Canvas of the given size filled with the fallback shown where an image
+     * failed to load: a checkerboard, or the fallback image repeated
+     * Returns null without a fallback
+     */
+    function fallbackCanvas(fallback, image, size) {
+        var pattern;
+        
+        if (fallback === 'checkerboard') {
+            pattern = document.createElement('canvas');
+            pattern.width = pattern.height = 16;
+            var patternCtx = pattern.getContext('2d');
+            patternCtx.fillStyle = '#ffffff';
+            patternCtx.fillRect(0, 0, 16, 16);
+            patternCtx.fillStyle = '#d8d8d8';
+            patternCtx.fillRect(0, 0, 8, 8);
+            patternCtx.fillRect(8, 8, 8, 8);
+        } else if (image && image.naturalWidth) {
+            pattern = image;
+        } else {
+            return null;
+        }
+        
+        var canvas = document.createElement('canvas');
+        canvas.width = size.x;
+        canvas.height = size.y;
+        var ctx = canvas.getContext('2d');
+        ctx.fillStyle = ctx.createPattern(pattern, 'repeat');
+        ctx.fillRect(0, 0, size.x, size.y);
+        return canvas;
+    }
+
+    /**
+     * WMS parameter of a dimension: TIME and ELEVATION are standard parameters,
+     * other dimensions are sent as DIM_<name>
+     * A parameter already set in another case is reused, so it isn't sent twice
+     */
+    function dimensionParam(wmsParams, name) {
+        return paramKey(wmsParams, /^(time|elevation|dim_.*)$/i.test(name) ? name : 'dim_' + name);
+    }
+
+    /**
+     * Key of a WMS parameter already set in any case, or the key as given
+     */
+    function paramKey(wmsParams, key) {
+        for (var param in wmsParams) {
+            if (param.toLowerCase() === key.toLowerCase()) {
+                return param;
+            }
+        }
+        return key;
+    }
+
+    /**
+     * Copy the content of a canvas
+     */
+    function copyCanvas(canvas) {
+        var copy = document.createElement('canvas');
+        copy.width = canvas.width;
+        copy.height = canvas.height;
+        copy.getContext('2d').drawImage(canvas, 0, 0);
+        return copy;
+    }
+
+    // Edit events of Leaflet.draw, Leaflet-Geoman and draggable paths
+    var LIVE_EVENTS = 'edit pm:edit pm:markerdrag pm:drag pm:rotate drag layeradd layerremove';
+
+    /**
+     * Follow the edits of a boundary layer (L.Polygon, L.FeatureGroup...)
+     * when the clipped layer has the `live` option, and stop following the
+     * previous one
+     */
+    function followBoundary(layer, boundary) {
+        var source = layer.options.live && boundary instanceof L.Layer ? boundary : null;
+        
+        if (source === layer._liveSource) {
+            return;
+        }
+        if (layer._liveSource) {
+            layer._liveSource.off(LIVE_EVENTS, layer._onBoundaryEdit, layer);
+        }
+        layer._liveSource = source;
+        if (source) {
+            source.on(LIVE_EVENTS, layer._onBoundaryEdit, layer);
+        }
+    }
+
+    /**
+     * Create a function projecting geographic coordinates to the pixel space
+     * of an image whose corners are the nw/se latlngs
+     *
+     * Positions inside the image are interpolated in the CRS the WMS image is
+     * requested in, exactly as the server renders it.
+     */
+    function imageProjector(nw, se, size, crs) {
+        var nwProjected = crs.project(nw);
+        var seProjected = crs.project(se);
+        var scaleX = size.x / (seProjected.x - nwProjected.x);
+        var scaleY = size.y / (seProjected.y - nwProjected.y);
+        
+        return function(latlng) {
+            var point = crs.project(latlng);
+            return {
+                x: (point.x - nwProjected.x) * scaleX,
+                y: (point.y - nwProjected.y) * scaleY
+            };
+        };
+    }
+
+    /**
+     * Create a function projecting geographic coordinates to the pixel space
+     * of one tile
+     *
+     * The tile's corners come from the map's tile grid. Defaults to the
+     * map's CRS for the WMS request.
+     */
+    function tileProjector(tileCoords, tileSize, map, crs) {
+        var nwPoint = L.point(tileCoords.x * tileSize.x, tileCoords.y * tileSize.y);
+        var nw = map.unproject(nwPoint, tileCoords.z);
+        var se = map.unproject(nwPoint.add(tileSize), tileCoords.z);
+        
+        return imageProjector(nw, se, tileSize, crs || map.options.crs);
+    }
+
+    /**
+     * Project geographic coordinates to tile pixel coordinates
+     */
+    function projectToTilePixels(latlng, tileCoords, tileSize, map, crs) {
+        return tileProjector(tileCoords, tileSize, map, crs)(latlng);
+    }
+
+    /**
+     * Project the rings of normalized polygons to pixel coordinates
+     * Rings are unwrapped and copied across ±180° for a CRS that wraps longitudes
+     */
+    function projectBoundary(polygons, project, crs, mode) {
+        return boundaryRings(worldPolygons(polygons, crs, mode)).map(function(ring) {
+            return ring.map(function(latlng) {
+                return project(L.latLng(latlng[0], latlng[1]));
+            });
+        });
+    }
+
+    /**
+     * Check if a point is inside a polygon (ray casting algorithm)
+     */
+    function pointInPolygon(point, polygon) {
+        var x = point.x;
+        var y = point.y;
+        var inside = false;
+        
+        for (var i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            var xi = polygon[i].x;
+            var yi = polygon[i].y;
+            var xj = polygon[j].x;
+            var yj = polygon[j].y;
+            
+            var intersect = ((yi > y) !== (yj > y)) && 
+                           (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+            if (intersect) inside = !inside;
+        }
+        
+        return inside;
+    }
+
+    /**
+     * Check if a tile overlaps normalized polygons, as the clipped layers
+     * decide which tiles to request
+     * The test is done in the CRS the tile is requested in (the map's by default)
+     */
+    function tileIntersectsBoundary(polygons, tileCoords, tileSize, map, crs, fillRule, mode) {
+        crs = crs || map.options.crs;
+        
+        var rings = projectBoundary(polygons, function(latlng) {
+            return crs.project(latlng);
+        }, crs, mode);
+        var nwPoint = L.point(tileCoords.x * tileSize.x, tileCoords.y * tileSize.y);
+        var tileRect = L.bounds(
+            crs.project(map.unproject(nwPoint, tileCoords.z)),
+            crs.project(map.unproject(nwPoint.add(tileSize), tileCoords.z)));
+        
+        return new BoundaryIndex(rings, fillRule || 'evenodd').classify(tileRect) !== 'outside';
+    }
+
+    /**
+     * Trace rings (in pixel coordinates) as sub-paths of the current path
+     */
+    function traceRings(ctx, rings) {
+        ctx.beginPath();
+        rings.forEach(function(ring) {
+            ring.forEach(function(point, i) {
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.closePath();
+        });
+    }
+
+    /**
+     * Draw an image into a canvas clipped to boundary rings (in pixel coordinates)
+     * Normal mode keeps the inside of the boundary, inverted mode keeps everything else
+     *
+     * Options: invert, fillRule, plus the styles stroke, feather and outsideStyle
+     */
+    function drawClipped(ctx, image, size, rings, options) {
+        ctx.save();
+        ctx.clearRect(0, 0, size.x, size.y);
+        
+        if (options.feather > 0 || options.outsideStyle) {
+            // Soft edges or a styled outside need a separate alpha mask
+            drawMasked(ctx, image, size, rings, options);
+        } else if (options.invert) {
+            // Inverted: draw everything, then erase the inside of the boundary
+            ctx.drawImage(image, 0, 0, size.x, size.y);
+            ctx.globalCompositeOperation = 'destination-out';
+            traceRings(ctx, rings);
+            ctx.fill(options.fillRule);
+        } else {
+            // Normal: clip outside boundary (show inside)
+            traceRings(ctx, rings);
+            ctx.clip(options.fillRule);
+            ctx.drawImage(image, 0, 0, size.x, size.y);
+        }
+        
+        ctx.restore();
+        
+        if (options.stroke) {
+            strokeRings(ctx, rings, options.stroke);
+        }
+    }
+
+    /**
+     * Draw the visible part of the image through a (feathered) mask,
+     * and the hidden part with the outside style if there is one
+     */
+    function drawMasked(ctx, image, size, rings, options) {
+        var mask = clipMask(size, rings, options);
+        
+        var visible = scratchCanvas(2, size);
+        var visibleCtx = visible.getContext('2d');
+        visibleCtx.drawImage(image, 0, 0, size.x, size.y);
+        visibleCtx.globalCompositeOperation = 'destination-in';
+        visibleCtx.drawImage(mask, 0, 0);
+        
+        if (options.outsideStyle) {
+            drawOutside(ctx, image, size, options.outsideStyle);
+            ctx.globalCompositeOperation = 'destination-out';
+            ctx.drawImage(mask, 0, 0);
+            ctx.globalCompositeOperation = 'source-over';
+        }
+        
+        ctx.drawImage(visible, 0, 0);
+    }
+
+    /**
+     * Alpha mask of the visible area, blurred by the feather width
+     * The mask is drawn with a margin so the blur doesn't fade at canvas edges
+     */
+    function clipMask(size, rings, options) {
+        var feather = options.feather || 0;
+        var pad = Math.ceil(feather * 2);
+        var padded = scratchCanvas(0, L.point(size.x + 2 * pad, size.y + 2 * pad));
+        var paddedCtx = padded.getContext('2d');
+        
+        paddedCtx.translate(pad, pad);
+        if (options.invert) {
+            paddedCtx.fillRect(-pad, -pad, padded.width, padded.height);
+            paddedCtx.globalCompositeOperation = 'destination-out';
+        }
+        traceRings(paddedCtx, rings);
+        paddedCtx.fill(options.fillRule);
+        
+        if (!pad) {
+            return padded;
+        }
+        
+        // Without canvas filter support (older Safari) edges stay hard
+        var mask = scratchCanvas(1, size);
+        var maskCtx = mask.getContext('2d');
+        maskCtx.filter = 'blur(' + (feather / 2) + 'px)';
+        maskCtx.drawImage(padded, -pad, -pad);
+        
+        return mask;
+    }
+
+    /**
+     * Draw the image as it should look outside the boundary
+     * outsideStyle: {opacity, grayscale (0-1), fillColor, fillOpacity}
+     */
+    function drawOutside(ctx, image, size, style) {
+        ctx.save();
+        ctx.globalAlpha = style.opacity === undefined ? 1 : style.opacity;
+        if (style.grayscale) {
+            ctx.filter = 'grayscale(' + style.grayscale + ')';
+        }
+        ctx.drawImage(image, 0, 0, size.x, size.y);
+        ctx.restore();
+        
+        // Tint only where the image has pixels
+        if (style.fillColor) {
+            ctx.save();
+            ctx.globalCompositeOperation = 'source-atop';
+            ctx.globalAlpha = style.fillOpacity === undefined ? 0.5 : style.fillOpacity;
+            ctx.fillStyle = style.fillColor;
+            ctx.fillRect(0, 0, size.x, size.y);
+            ctx.restore();
+        }
+    }
+
+    /**
+     * Outline the boundary rings
+     * stroke: true or {color, weight, opacity, dashArray}
+     */
+    function strokeRings(ctx, rings, stroke) {
+        stroke = L.extend({ color: '#3388ff', weight: 2, opacity: 1 }, stroke);
+        
+        ctx.save();
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = stroke.weight;
+        ctx.globalAlpha = stroke.opacity;
+        ctx.lineJoin = ctx.lineCap = 'round';
+        
+        if (stroke.dashArray && ctx.setLineDash) {
+            var dashArray = typeof stroke.dashArray === 'string' ?
+                stroke.dashArray.split(/[, ]+/) : stroke.dashArray;
+            ctx.setLineDash(dashArray.map(Number));
+        }
+        
+        traceRings(ctx, rings);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Insertion counter, regions with the same zIndex draw in the order they were added
+    var regionCount = 0;
+
+    /**
+     * Create a named clip region
+     * options: {opacity (0-1), filter (CSS filter, e.g. 'grayscale(1)'), zIndex}
+     */
+    function createRegion(id, geometry, options) {
+        options = options || {};
+        
+        return {
+            id: id,
+            boundary: normalizeBoundary(geometry),
+            opacity: options.opacity === undefined ? 1 : options.opacity,
+            filter: options.filter || null,
+            zIndex: options.zIndex || 0,
+            order: regionCount++
+        };
+    }
+
+    /**
+     * Regions of a layer in drawing order, lowest zIndex first
+     */
+    function sortedRegions(regions) {
+        var list = [];
+        for (var id in regions) {
+            list.push(regions[id]);
+        }
+        return list.sort(function(a, b) {
+            return a.zIndex - b.zIndex || a.order - b.order;
+        });
+    }
+
+    /**
+     * Composite the part of the image inside a region's rings (in pixel
+     * coordinates) over the canvas, with the region's filter and opacity
+     */
+    function drawRegion(ctx, image, size, rings, region, fillRule) {
+        var layer = scratchCanvas(3, size);
+        var layerCtx = layer.getContext('2d');
+        
+        traceRings(layerCtx, rings);
+        layerCtx.clip(fillRule);
+        if (region.filter) {
+            layerCtx.filter = region.filter;
+        }
+        layerCtx.drawImage(image, 0, 0, size.x, size.y);
+        
+        ctx.save();
+        ctx.globalAlpha = region.opacity;
+        ctx.drawImage(layer, 0, 0);
+        ctx.restore();
+    }
+
+    // Reusable intermediate canvases for drawClipped (used synchronously only)
+    var scratchCanvases = [];
+
+    /**
+     * Get a cleared scratch canvas of the given size
+     */
+    function scratchCanvas(index, size) {
+        var canvas = scratchCanvases[index] || (scratchCanvases[index] = document.createElement('canvas'));
+        
+        // Resizing also clears the canvas and resets the context state
+        canvas.width = size.x;
+        canvas.height = size.y;
+        
+        return canvas;
+    }
+
+    var SVG_NS = 'http://www.w3.org/2000/svg';
+    var clipPathCount = 0;
+
+    /**
+     * Create a hidden SVG holding a single-path <clipPath> for CSS clipping
+     * (units: 'userSpaceOnUse' or 'objectBoundingBox')
+     */
+    function createClipPath(units) {
+        var svg = document.createElementNS(SVG_NS, 'svg');
+        var clipPath = document.createElementNS(SVG_NS, 'clipPath');
+        var path = document.createElementNS(SVG_NS, 'path');
+        var id = 'leaflet-wms-crop-clip-' + (++clipPathCount);
+        
+        svg.setAttribute('width', 0);
+        svg.setAttribute('height', 0);
+        svg.style.position = 'absolute';
+        clipPath.setAttribute('id', id);
+        clipPath.setAttribute('clipPathUnits', units);
+        
+        clipPath.appendChild(path);
+        svg.appendChild(clipPath);
+        
+        return { svg: svg, path: path, url: 'url(#' + id + ')' };
+    }
+
+    /**
+     * Set the rings of a CSS clip path
+     * Inverted clipping cuts the rings out of the outer rectangle, which
+     * always uses the even-odd rule
+     */
+    function updateClipPath(clip, rings, outerRect, invert, fillRule) {
+        if (invert) {
+            var min = outerRect.min;
+            var max = outerRect.max;
+            rings = [[min, { x: max.x, y: min.y }, max, { x: min.x, y: max.y }]].concat(rings);
+        }
+        
+        var d = rings.map(function(ring) {
+            return ring.map(function(point, i) {
+                return (i === 0 ? 'M' : 'L') + point.x + ' ' + point.y;
+            }).join('') + 'Z';
+        }).join('');
+        
+        // An empty path would disable clipping altogether
+        clip.path.setAttribute('d', d || 'M0 0Z');
+        clip.path.setAttribute('clip-rule', invert ? 'evenodd' : fillRule);
+    }
+
+    /**
+     * Check if a segment intersects a rectangle (Liang-Barsky clipping)
+     */
+    function segmentIntersectsRect(ax, ay, bx, by, rect) {
+        var dx = bx - ax;
+        var dy = by - ay;
+        var p = [-dx, dx, -dy, dy];
+        var q = [ax - rect.min.x, rect.max.x - ax, ay - rect.min.y, rect.max.y - ay];
+        var t0 = 0;
+        var t1 = 1;
+        
+        for (var i = 0; i < 4; i++) {
+            if (p[i] === 0) {
+                // Parallel to this side and outside of it
+                if (q[i] < 0) return false;
+            } else {
+                var t = q[i] / p[i];
+                if (p[i] < 0) {
+                    if (t > t1) return false;
+                    if (t > t0) t0 = t;
+                } else {
+                    if (t < t0) return false;
+                    if (t < t1) t1 = t;
+                }
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Spatial index over the edges of projected boundary rings
+     * A static packed R-tree (sort-tile-recursive) answers point-in-boundary
+     * and rectangle classification queries without visiting every edge
+     */
+    var BoundaryIndex = L.Class.extend({
+        
+        // Maximum number of children per R-tree node
+        nodeSize: 16,
+        
+        /**
+         * @param {Array} rings - Rings of projected {x, y} points
+         * @param {String} fillRule - 'evenodd' or 'nonzero'
+         */
+        initialize: function(rings, fillRule) {
+            this._fillRule = fillRule;
+            
+            var edges = [];
+            rings.forEach(function(ring) {
+                for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    var a = ring[j];
+                    var b = ring[i];
+                    
+                    // Skip closing duplicates and other zero-length edges
+                    if (a.x === b.x && a.y === b.y) continue;
+                    
+                    edges.push({
+                        ax: a.x, ay: a.y, bx: b.x, by: b.y,
+                        minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y),
+                        maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y)
+                    });
+                }
+            });
+            
+            this._root = null;
+            if (edges.length) {
+                var level = edges;
+                do {
+                    level = this._buildLevel(level);
+                } while (level.length > 1);
+                this._root = level[0];
+            }
+        },
+        
+        /**
+         * Check if a projected point is inside the boundary (ray casting
+         * towards +x over the edges the ray can cross)
+         */
+        contains: function(point) {
+            var x = point.x;
+            var y = point.y;
+            var crossings = 0;
+            var winding = 0;
+            
+            this._search(x, y, Infinity, y, function(edge) {
+                if ((edge.ay > y) !== (edge.by > y) &&
+                    x < (edge.bx - edge.ax) * (y - edge.ay) / (edge.by - edge.ay) + edge.ax) {
+                    crossings++;
+                    winding += edge.by > edge.ay ? 1 : -1;
+                }
+            });
+            
+            return this._fillRule === 'nonzero' ? winding !== 0 : crossings % 2 === 1;
+        },
+        
+        /**
+         * Classify a projected rectangle against the boundary
+         * Returns 'outside', 'inside' or 'partial' (an edge crosses the rectangle)
+         */
+        classify: function(rect) {
+            var root = this._root;
+            if (!root || root.minX > rect.max.x || root.maxX < rect.min.x ||
+                root.minY > rect.max.y || root.maxY < rect.min.y) {
+                return 'outside';
+            }
+            
+            var crossed = false;
+            this._search(rect.min.x, rect.min.y, rect.max.x, rect.max.y, function(edge) {
+                crossed = segmentIntersectsRect(edge.ax, edge.ay, edge.bx, edge.by, rect);
+                return crossed;
+            });
+            if (crossed) {
+                return 'partial';
+            }
+            
+            // No edge crosses the rectangle, so it is entirely on one side
+            var center = { x: (rect.min.x + rect.max.x) / 2, y: (rect.min.y + rect.max.y) / 2 };
+            return this.contains(center) ? 'inside' : 'outside';
+        },
+        
+        /**
+         * Call back for every edge whose bbox overlaps the query box,
+         * until the callback returns true
+         */
+        _search: function(minX, minY, maxX, maxY, callback) {
+            var stack = this._root ? [this._root] : [];
+            
+            while (stack.length) {
+                var node = stack.pop();
+                
+                for (var i = 0; i < node.children.length; i++) {
+                    var child = node.children[i];
+                    if (child.minX > maxX || child.maxX < minX || child.minY > maxY || child.maxY < minY) {
+                        continue;
+                    }
+                    
+                    if (child.children) {
+                        stack.push(child);
+                    } else if (callback(child)) {
+                        return;
+                    }
+                }
+            }
+        },
+        
+        /**
+         * Group items into parent nodes: sort into vertical slices by x,
+         * then into nodes by y within each slice
+         */
+        _buildLevel: function(items) {
+            var nodeSize = this.nodeSize;
+            var sliceCount = Math.ceil(Math.sqrt(Math.ceil(items.length / nodeSize)));
+            var sliceSize = sliceCount * nodeSize;
+            var nodes = [];
+            
+            items.sort(function(a, b) { return (a.minX + a.maxX) - (b.minX + b.maxX); });
+            
+            for (var i = 0; i < items.length; i += sliceSize) {
+                var slice = items.slice(i, i + sliceSize);
+                slice.sort(function(a, b) { return (a.minY + a.maxY) - (b.minY + b.maxY); });
+                
+                for (var j = 0; j < slice.length; j += nodeSize) {
+                    nodes.push(this._createNode(slice.slice(j, j + nodeSize)));
+                }
+            }
+            
+            return nodes;
+        },
+        
+        _createNode: function(children) {
+            var node = { children: children, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            
+            children.forEach(function(child) {
+                node.minX = Math.min(node.minX, child.minX);
+                node.minY = Math.min(node.minY, child.minY);
+                node.maxX = Math.max(node.maxX, child.maxX);
+                node.maxY = Math.max(node.maxY, child.maxY);
+            });
+            
+            return node;
+        }
+    });
+
+    /**
+     * Bounded LRU cache of decoded source images
+     * Relies on objects keeping the insertion order of (non-numeric) string keys
+     * ImageBitmaps (from the worker) are closed when they leave the cache,
+     * releasing their memory without waiting for garbage collection
+     */
+    var SourceCache = L.Class.extend({
+        
+        initialize: function(maxBytes) {
+            this.maxBytes = maxBytes;
+            this.bytes = 0;
+            this.hits = 0;
+            this.misses = 0;
+            this._entries = {};
+            this._count = 0;
+        },
+        
+        get: function(key) {
+            var entry = this._entries[key];
+            
+            if (!entry) {
+                this.misses++;
+                return null;
+            }
+            
+            // Move to the most recently used end
+            this.hits++;
+            delete this._entries[key];
+            this._entries[key] = entry;
+            
+            return entry.image;
+        },
+        
+        set: function(key, image, bytes) {
+            var entry = this._entries[key];
+            if (entry && entry.image === image) {
+                entry.image = null;
+            }
+            this.remove(key);
+            
+            this._entries[key] = { image: image, bytes: bytes };
+            this._count++;
+            this.bytes += bytes;
+            
+            // Evict least recently used entries over the memory limit, but
+            // not the image just added, which is about to be drawn
+            for (var oldest in this._entries) {
+                if (this.bytes <= this.maxBytes || oldest === key) break;
+                this.remove(oldest);
+            }
+        },
+        
+        remove: function(key) {
+            var entry = this._entries[key];
+            
+            if (entry) {
+                delete this._entries[key];
+                this._count--;
+                this.bytes -= entry.bytes;
+                closeBitmap(entry.image);
+            }
+        },
+        
+        /**
+         * Remove the ImageBitmaps, keeping the other images
+         */
+        removeBitmaps: function() {
+            for (var key in this._entries) {
+                if (isBitmap(this._entries[key].image)) {
+                    this.remove(key);
+                }
+            }
+        },
+        
+        clear: function() {
+            for (var key in this._entries) {
+                closeBitmap(this._entries[key].image);
+            }
+            this._entries = {};
+            this._count = 0;
+            this.bytes = 0;
+        },
+        
+        getStats: function() {
+            return {
+                hits: this.hits,
+                misses: this.misses,
+                entries: this._count,
+                bytes: this.bytes,
+                maxBytes: this.maxBytes
+            };
+        }
+    });
+
+    function isBitmap(image) {
+        return typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap;
+    }
+
+    function closeBitmap(image) {
+        if (isBitmap(image)) {
+            image.close();
+        }
+    }
+
+    /**
+     * Parse a legend colour: '#rgb', '#rrggbb', 'rgb(r, g, b)' or [r, g, b]
+     */
+    function parseColor(color) {
+        if (L.Util.isArray(color)) {
+            return color.slice(0, 3);
+        }
+        
+        var hex = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (hex) {
+            var digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            var value = parseInt(digits, 16);
+            return [value >> 16 & 255, value >> 8 & 255, value & 255];
+        }
+        
+        var rgb = /(\d+)\D+(\d+)\D+(\d+)/.exec(color);
+        if (rgb) {
+            return [+rgb[1], +rgb[2], +rgb[3]];
+        }
+        throw new Error('Invalid legend color: ' + color);
+    }
+
+    /**
+     * '#rrggbb' of a packed 0xRRGGBB colour
+     */
+    function hexColor(rgb) {
+        return '#' + (0x1000000 + rgb).toString(16).slice(1);
+    }
+
+    /**
+     * Area in m² of one pixel in each row of an image of the nw/se corners
+     * Assumes a cylindrical request CRS (EPSG:3857, EPSG:4326...), where
+     * pixel rows follow parallels
+     */
+    function pixelAreas(nw, se, size, crs) {
+        var rad = Math.PI / 180;
+        var min = crs.project(nw);
+        var max = crs.project(se);
+        var step = (max.y - min.y) / size.y;
+        var lngStep = Math.abs(se.lng - nw.lng) / size.x * rad;
+        var r2 = L.CRS.Earth.R * L.CRS.Earth.R;
+        
+        var areas = new Float64Array(size.y);
+        var top = Math.sin(nw.lat * rad);
+        for (var y = 0; y < size.y; y++) {
+            var bottom = Math.sin(crs.unproject(L.point(min.x, min.y + (y + 1) * step)).lat * rad);
+            areas[y] = r2 * lngStep * Math.abs(top - bottom);
+            top = bottom;
+        }
+        return areas;
+    }
+
+    /**
+     * Pixels from min (inclusive) to max (exclusive) within an image of size
+     * The range is empty when they don't overlap
+     */
+    function pixelRange(min, max, size) {
+        return {
+            min: L.point(Math.max(min.x, 0), Math.max(min.y, 0)),
+            max: L.point(Math.min(max.x, size.x), Math.min(max.y, size.y))
+        };
+    }
+
+    /**
+     * Pixel counts and areas of clipped rasters, per colour or per legend class
+     * legend: {color: name} or [{color, name}]; pixels further than tolerance
+     * (RGB distance) from every legend colour are 'unclassified'
+     */
+    var RasterStats = L.Class.extend({
+        
+        initialize: function(legend, tolerance) {
+            this._legend = [];
+            this._tolerance = tolerance || 0;
+            this._classes = {};
+            
+            // Class of each colour seen so far
+            this._keys = {};
+            
+            if (L.Util.isArray(legend)) {
+                legend.forEach(function(entry) {
+                    this._legend.push({ rgb: parseColor(entry.color), name: entry.name });
+                }, this);
+            } else if (legend) {
+                for (var color in legend) {
+                    this._legend.push({ rgb: parseColor(color), name: legend[color] });
+                }
+            }
+        },
+        
+        /**
+         * Add the pixels of an image seen through a mask (null: fully visible)
+         * 
+         * @param {Uint8ClampedArray} pixels - RGBA image data
+         * @param {Uint8ClampedArray} mask - RGBA data whose alpha is the coverage
+         * @param {Number} width - Image width
+         * @param {Float64Array} areas - Area of one pixel in each row
+         * @param {Object} range - {min, max} pixels to count
+         */
+        add: function(pixels, mask, width, areas, range) {
+            for (var y = range.min.y; y < range.max.y; y++) {
+                for (var x = range.min.x; x < range.max.x; x++) {
+                    var i = (y * width + x) * 4;
+                    
+                    // Edge pixels count for the part the mask covers
+                    var coverage = mask ? mask[i + 3] / 255 : 1;
+                    if (!coverage || !pixels[i + 3]) continue;
+                    
+                    var key = this._classify((pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2]);
+                    var entry = this._classes[key] || (this._classes[key] = { pixels: 0, area: 0 });
+                    entry.pixels += coverage;
+                    entry.area += coverage * areas[y];
+                }
+            }
+        },
+        
+        _classify: function(rgb) {
+            if (rgb in this._keys) {
+                return this._keys[rgb];
+            }
+            
+            var key = hexColor(rgb);
+            if (this._legend.length) {
+                var r = rgb >> 16, g = rgb >> 8 & 255, b = rgb & 255;
+                var best = Infinity;
+                key = 'unclassified';
+                
+                this._legend.forEach(function(entry) {
+                    var dr = entry.rgb[0] - r, dg = entry.rgb[1] - g, db = entry.rgb[2] - b;
+                    var distance = Math.sqrt(dr * dr + dg * dg + db * db);
+                    
+                    if (distance <= this._tolerance && distance < best) {
+                        best = distance;
+                        key = entry.name;
+                    }
+                }, this);
+            }
+            
+            this._keys[rgb] = key;
+            return key;
+        },
+        
+        /**
+         * {pixels, area, classes: [{name, color, pixels, area, fraction}]},
+         * classes sorted by decreasing area
+         */
+        getResult: function() {
+            var pixels = 0;
+            var area = 0;
+            var colors = {};
+            
+            this._legend.forEach(function(entry) {
+                colors[entry.name] = hexColor((entry.rgb[0] << 16) | (entry.rgb[1] << 8) | entry.rgb[2]);
+            });
+            
+            var classes = Object.keys(this._classes).map(function(key) {
+                var entry = this._classes[key];
+                pixels += entry.pixels;
+                area += entry.area;
+                
+                return {
+                    name: key,
+                    color: this._legend.length ? colors[key] || null : key,
+                    pixels: entry.pixels,
+                    area: entry.area
+                };
+            }, this);
+            
+            classes.forEach(function(entry) {
+                entry.fraction = area ? entry.area / area : 0;
+            });
+            classes.sort(function(a, b) {
+                return b.area - a.area;
+            });
+            
+            return { pixels: pixels, area: area, classes: classes };
+        }
+    });
+
+    /**
+     * Body of the clipping worker (useWorker option), run from its source
+     * Keeps the boundary rings (request CRS units) sent once, then fetches,
+     * decodes and clips tiles, returning the source and clipped ImageBitmaps
+     *
+     * Messages: {type: 'boundary', rings, invert, fillRule},
+     * {type: 'tile', id, url, credentials, nw, scale, size, clip} and {type: 'abort', id}
+     * Replies: {id, source, clipped} or {id, error: cause}, cause being 'fetch'
+     * when fetch itself threw (network, CORS or an URL the worker can't reach)
+     */
+    function clipWorker() {
+        var boundary = { rings: [], invert: false, fillRule: 'evenodd' };
+        var controllers = {};
+        
+        self.onmessage = function(e) {
+            var message = e.data;
+            
+            if (message.type === 'boundary') {
+                boundary = message;
+                boundary.rings = message.rings.map(function(points) {
+                    var bounds = [Infinity, Infinity, -Infinity, -Infinity];
+                    points.forEach(function(p) {
+                        bounds = [Math.min(bounds[0], p[0]), Math.min(bounds[1], p[1]),
+                            Math.max(bounds[2], p[0]), Math.max(bounds[3], p[1])];
+                    });
+                    return { points: points, bounds: bounds };
+                });
+            } else if (message.type === 'tile') {
+                loadTile(message);
+            } else if (message.type === 'abort' && controllers[message.id]) {
+                controllers[message.id].abort();
+            }
+        };
+        
+        function loadTile(message) {
+            var controller = controllers[message.id] = new AbortController();
+            var cause = 'fetch';
+            
+            fetch(message.url, { mode: 'cors', credentials: message.credentials, signal: controller.signal })
+                .then(function(response) {
+                    cause = 'load';
+                    if (!response.ok) {
+                        throw new Error(response.status);
+                    }
+                    return response.blob();
+                })
+                .then(function(blob) {
+                    cause = 'decode';
+                    return createImageBitmap(blob);
+                })
+                .then(function(source) {
+                    var clipped = message.clip ? clipTile(source, message) : null;
+                    self.postMessage({ id: message.id, source: source, clipped: clipped },
+                        clipped ? [source, clipped] : [source]);
+                })
+                .catch(function() {
+                    self.postMessage({ id: message.id, error: cause });
+                })
+                .then(function() {
+                    delete controllers[message.id];
+                });
+        }
+        
+        function clipTile(source, message) {
+            var width = message.size[0];
+            var height = message.size[1];
+            var canvas = new OffscreenCanvas(width, height);
+            var ctx = canvas.getContext('2d');
+            
+            // Tile extent in request CRS units
+            var x0 = message.nw[0], y0 = message.nw[1];
+            var x1 = x0 + width / message.scale[0], y1 = y0 + height / message.scale[1];
+            var minX = Math.min(x0, x1), maxX = Math.max(x0, x1);
+            var minY = Math.min(y0, y1), maxY = Math.max(y0, y1);
+            
+            ctx.beginPath();
+            boundary.rings.forEach(function(ring) {
+                var b = ring.bounds;
+                if (b[0] > maxX || b[2] < minX || b[1] > maxY || b[3] < minY) {
+                    return;
+                }
+                ring.points.forEach(function(p, i) {
+                    var x = (p[0] - x0) * message.scale[0];
+                    var y = (p[1] - y0) * message.scale[1];
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                ctx.closePath();
+            });
+            
+            if (boundary.invert) {
+                ctx.drawImage(source, 0, 0, width, height);
+                ctx.globalCompositeOperation = 'destination-out';
+                ctx.fill(boundary.fillRule);
+            } else {
+                ctx.clip(boundary.fillRule);
+                ctx.drawImage(source, 0, 0, width, height);
+            }
+            return canvas.transferToImageBitmap();
+        }
+    }
+
+    var workerUrl = null;
+
+    /**
+     * Whether the browser can clip in a worker
+     */
+    function workerSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined' && typeof fetch !== 'undefined' &&
+            typeof URL !== 'undefined' && !!URL.createObjectURL;
+    }
+
+    /**
+     * Start a clipping worker, or return null when workers can't be created
+     * (for example a Content Security Policy without blob: workers)
+     */
+    function createClipWorker() {
+        try {
+            if (!workerUrl) {
+                var source = '(' + clipWorker.toString() + ')();';
+                workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            }
+            return new Worker(workerUrl);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // ============================================================================
+    // CLIP MIXIN
+    // ============================================================================
+
+    // Clipping options shared by the clipped tile layers
+    var clipOptions = {
+        clipMode: 'canvas',
+        invertClip: false,
+        fillRule: 'evenodd',
+        
+        // Which boundary edges cross ±180°: 'auto', 'always' or 'never', see unwrapPolygons
+        antimeridian: 'auto',
+        
+        // Boundary outline drawn on the clipped canvas:
+        // true or {color, weight, opacity, dashArray}
+        stroke: false,
+        
+        // Width in pixels over which the raster fades out at the boundary
+        feather: 0,
+        
+        // Style of the area outside the boundary instead of hiding it:
+        // {opacity, grayscale (0-1), fillColor, fillOpacity}
+        outsideStyle: null,
+        
+        // Memory limit of the decoded source image cache, in bytes
+        cacheMaxBytes: 64 * 1024 * 1024,
+        
+        // Douglas-Peucker tolerance in pixels for the clip path at each zoom (0 = off)
+        simplifyTolerance: 0.5,
+        
+        // Re-clip as the boundary layer (L.Polygon, L.FeatureGroup...) is edited
+        live: false,
+        
+        // Failed requests are tried again count times, waiting backoff
+        // milliseconds, doubled after every try
+        retry: { count: 0, backoff: 500 },
+        
+        // Request timeout in milliseconds (0 = none)
+        timeout: 0,
+        
+        // Requests in flight at once, the others wait (0 = unlimited)
+        maxConcurrentRequests: 0,
+        
+        // Shown clipped where a tile failed for good: 'checkerboard' or an image URL
+        fallbackTile: null,
+        
+        // Fetch, decode and clip tiles in a Web Worker when the browser supports it
+        useWorker: false
+    };
+
+    /**
+     * Method of the class the clip mixin was included into, for a layer
+     * Walks up past subclasses, which inherit the mixin's marker
+     */
+    function parentMethod(layer, name) {
+        var proto = Object.getPrototypeOf(layer);
+        
+        while (Object.getPrototypeOf(proto)._clipMixin) {
+            proto = Object.getPrototypeOf(proto);
+        }
+        return Object.getPrototypeOf(proto)[name];
+    }
+
+    /**
+     * Boundary clipping for any L.GridLayer subclass
+     * Tiles created by the parent class are drawn clipped into canvases
+     * (or the container is clipped with an SVG clip path in CSS mode).
+     * Include it with `includes: L.ClipMixin` and call `_initClip(boundary)`
+     * from initialize.
+     */
+    L.ClipMixin = {
+        
+        // Marks classes including the mixin, see parentMethod
+        _clipMixin: true,
+        
+        /**
+         * Set up clipping, called from the layer's initialize
+         * Clip options the layer class doesn't declare fall back to the defaults
+         * 
+         * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Boundary to clip to
+         */
+        _initClip: function(boundary) {
+            var defaults = {};
+            for (var key in clipOptions) {
+                if (this.options[key] === undefined) {
+                    defaults[key] = clipOptions[key];
+                }
+            }
+            L.setOptions(this, defaults);
+            
+            // Normalize and store boundary, remote boundaries are empty until loaded
+            this._heldTiles = [];
+            if (isRemoteBoundary(boundary)) {
+                this._boundary = [];
+                this._loadBoundary(boundary);
+            } else {
+                this._boundary = normalizeBoundary(boundary);
+                followBoundary(this, boundary);
+            }
+            this._clipMode = this.options.clipMode; // 'canvas' or 'css'
+            this._invertClip = !!this.options.invertClip; // Show outside boundary instead
+            this._fillRule = this.options.fillRule; // 'evenodd' or 'nonzero'
+            this._antimeridian = this.options.antimeridian; // 'auto', 'always' or 'never'
+            
+            // Decoded source images keyed by tile URL (coords + request parameters),
+            // used to re-clip tiles without refetching them
+            this._sourceCache = new SourceCache(this.options.cacheMaxBytes);
+            
+            this._requestQueue = new RequestQueue(this.options.maxConcurrentRequests);
+            this._fallbackImage = fallbackImage(this.options.fallbackTile);
+            
+            // Named regions composited over the boundary clip, keyed by id
+            this._regions = {};
+            this._regionRings = {};
+        },
+        
+        /**
+         * Create a clipped tile
+         */
+        createTile: function(coords, done) {
+            // CSS mode keeps the layer's own tiles, the container is clipped instead
+            if (this._clipMode === 'css') {
+                // Regions and the outside style aren't drawn in CSS mode
+                if (!this._boundaryLoading && this._tileVisibility(coords) === 'hidden') {
+                    return this._createSkippedTile(coords, done);
+                }
+                return parentMethod(this, 'createTile').call(this, coords, done);
+            }
+            
+            var tileSize = this.getTileSize();
+            
+            // Create canvas for clipping
+            var canvas = document.createElement('canvas');
+            canvas.width = tileSize.x;
+            canvas.height = tileSize.y;
+            
+            this._renderTile(canvas, coords, done);
+            
+            return canvas;
+        },
+        
+        /**
+         * Empty tile in CSS mode where the mask hides the whole tile, which is
+         * never requested, see _reloadSkippedTiles
+         */
+        _createSkippedTile: function(coords, done) {
+            var tile = document.createElement('div');
+            tile._clipSkipped = true;
+            
+            this.fire('tileskipped', { tile: tile, coords: coords });
+            L.Util.requestAnimFrame(function() { done(null, tile); });
+            return tile;
+        },
+        
+        /**
+         * Load the tiles skipped in CSS mode that the mask shows now
+         */
+        _reloadSkippedTiles: function() {
+            var reload = false;
+            
+            for (var key in this._tiles) {
+                var tile = this._tiles[key];
+                if (tile.el._clipSkipped && this._tileVisibility(this._wrapCoords(tile.coords)) !== 'hidden') {
+                    this._removeTile(key);
+                    reload = true;
+                }
+            }
+            
+            // Leaflet creates the missing tiles of the view again
+            if (reload) {
+                this._update();
+            }
+        },
+        
+        /**
+         * Load the tile image and draw it clipped into the tile canvas
+         * Tiles hidden entirely by the mask are never requested
+         */
+        _renderTile: function(canvas, coords, done) {
+            var ctx = canvas.getContext('2d');
+            
+            // A new render of the tile supersedes the one still loading
+            if (canvas._cancelClip) {
+                canvas._cancelClip();
+            }
+            
+            // Nothing is drawn before a remote boundary has loaded
+            if (this._boundaryLoading) {
+                var held = { canvas: canvas, coords: coords, done: done };
+                this._heldTiles.push(held);
+                canvas._cancelClip = L.Util.bind(function() {
+                    canvas._cancelClip = null;
+                    this._heldTiles.splice(this._heldTiles.indexOf(held), 1);
+                }, this);
+                return;
+            }
+            
+            this._clipStart();
+            var finish = L.Util.bind(function(err) {
+                canvas._cancelClip = null;
+                canvas._clipFailed = !!err;
+                done(err, canvas);
+                this._clipEnd();
+            }, this);
+            
+            if (!this._tileShown(coords)) {
+                // Return transparent tile
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                this.fire('tileskipped', { tile: canvas, coords: coords });
+                L.Util.requestAnimFrame(function() { finish(null); });
+                return;
+            }
+            
+            // Get original tile image (clipped already when loaded in the worker), then apply clipping
+            var cancel = this._loadSource(coords, function(err, source, clipped) {
+                if (!err) {
+                    try {
+                        this._applyClip(canvas, ctx, source, coords, finish, clipped);
+                        return;
+                    } catch (e) {
+                        err = clipError('Failed to decode tile', 'decode', this._sourceKey(coords));
+                    }
+                }
+                
+                this._drawFallback(canvas, coords);
+                this.fire('cliperror', {
+                    tile: canvas,
+                    coords: coords,
+                    url: err.url,
+                    cause: err.cause,
+                    error: err
+                });
+                finish(err);
+            }, null, true);
+            
+            // Tiles removed from the map stop loading, without firing events
+            canvas._cancelClip = L.Util.bind(function() {
+                canvas._cancelClip = null;
+                cancel();
+                this._clipEnd();
+            }, this);
+        },
+        
+        /**
+         * Draw the fallback tile, clipped, where the tile failed to load
+         * The fallback image may still be loading when the first tiles fail
+         */
+        _drawFallback: function(canvas, coords) {
+            var tileSize = this.getTileSize();
+            var ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, tileSize.x, tileSize.y);
+            
+            this._fallbackImage.then(L.Util.bind(function(image) {
+                var fallback = fallbackCanvas(this.options.fallbackTile, image, tileSize);
+                
+                // Unless the tile loaded or started loading again meanwhile
+                if (fallback && canvas._clipFailed && !canvas._cancelClip) {
+                    this._drawClippedTile(ctx, fallback, coords, this._tileVisibility(coords));
+                }
+            }, this));
+        },
+        
+        /**
+         * Stop loading a tile removed from the map
+         */
+        _removeTile: function(key) {
+            var tile = this._tiles[key];
+            if (tile && tile.el._cancelClip) {
+                tile.el._cancelClip();
+            }
+            parentMethod(this, '_removeTile').call(this, key);
+        },
+        
+        /**
+         * Load the tiles that failed again, once the map is idle
+         */
+        _retryFailedTiles: function() {
+            for (var key in this._tiles) {
+                var tile = this._tiles[key];
+                if (tile.el._clipFailed && !tile.el._cancelClip) {
+                    this._reclipTile(tile);
+                }
+            }
+        },
+        
+        /**
+         * Run a request with the retry, timeout and maxConcurrentRequests options
+         * Returns a function cancelling it, see retryRequest
+         */
+        _request: function(url, attempt, callback) {
+            return retryRequest(this._requestQueue, this.options, url, attempt, callback);
+        },
+        
+        /**
+         * Track pending clip jobs to fire 'clipstart' and 'clipend'
+         */
+        _clipStart: function() {
+            if (!this._clipping) {
+                this._clipping = 0;
+                this.fire('clipstart');
+            }
+            this._clipping++;
+        },
+        
+        _clipEnd: function() {
+            if (--this._clipping === 0) {
+                this.fire('clipend');
+            }
+        },
+        
+        /**
+         * Get the decoded source image of a tile, from the source cache if possible
+         * The callback is always asynchronous, as GridLayer requires for `done`
+         * params overrides request parameters, see _withParams
+         * With clip set, tiles loaded in the worker come back clipped too,
+         * as a third callback argument
+         * Returns a function cancelling the load, the callback is then never called
+         */
+        _loadSource: function(coords, callback, params, clip) {
+            var url = this._withParams(params, function() {
+                return this._sourceKey(coords);
+            });
+            var cached = this._sourceCache.get(url);
+            var self = this;
+            
+            if (cached) {
+                var frame = L.Util.requestAnimFrame(function() {
+                    callback.call(self, null, cached);
+                });
+                return function() {
+                    L.Util.cancelAnimFrame(frame);
+                };
+            }
+            
+            var clipped = null;
+            return this._request(url, function(settle) {
+                if (!self._workerReady()) {
+                    return loadTile(settle);
+                }
+                
+                // Tiles the worker can't fetch load on the main thread
+                var cancel = self._workerTile(url, coords, clip, function(err, source, bitmap) {
+                    if (err && err.cause === 'fetch') {
+                        cancel = loadTile(settle);
+                        return;
+                    }
+                    clipped = bitmap;
+                    settle(err, source);
+                });
+                return function() {
+                    cancel();
+                };
+            }, function(err, img) {
+                if (!err) {
+                    var bytes = (img.naturalWidth || img.width) * (img.naturalHeight || img.height) * 4;
+                    self._sourceCache.set(url, img, bytes);
+                }
+                callback.call(self, err, img, clipped);
+            });
+            
+            function loadTile(settle) {
+                var tile = self._withParams(params, function() {
+                    return parentMethod(this, 'createTile').call(this, coords, function(err, img) {
+                        if (err) {
+                            settle(clipError('Failed to load tile', 'load', url));
+                        } else if (!(img.naturalWidth || img.width)) {
+                            settle(clipError('Failed to decode tile', 'decode', url));
+                        } else {
+                            settle(null, img);
+                        }
+                    });
+                });
+                
+                // Image tiles stop downloading, other tiles are just ignored
+                return function() {
+                    if (tile && tile.tagName === 'IMG') {
+                        tile.onload = tile.onerror = L.Util.falseFn;
+                        tile.src = L.Util.emptyImageUrl;
+                    }
+                };
+            }
+        },
+        
+        /**
+         * Start the clipping worker if useWorker is set and the browser supports it
+         * Tiles load on the main thread when it isn't available
+         */
+        _workerReady: function() {
+            if (!this.options.useWorker || this._workerFailed || !this.getTileUrl || !workerSupported()) {
+                return false;
+            }
+            
+            if (!this._worker) {
+                this._worker = createClipWorker();
+                if (!this._worker) {
+                    this._workerFailed = true;
+                    return false;
+                }
+                this._worker.onmessage = L.Util.bind(this._onWorkerMessage, this);
+                this._worker.onerror = L.Util.bind(this._onWorkerError, this);
+                this._workerCallbacks = {};
+                this._workerState = null;
+                this._workerTileId = 0;
+            }
+            return true;
+        },
+        
+        /**
+         * Fetch and decode a tile in the worker, and clip it there when clip is
+         * set and only the mask applies (no stroke, feather, outside style or
+         * regions, which are drawn on the main thread)
+         * callback(err, source, clipped); returns a function aborting the request
+         */
+        _workerTile: function(url, coords, clip, callback) {
+            var options = this.options;
+            var tileSize = this.getTileSize();
+            var id = ++this._workerTileId;
+            var message = {
+                type: 'tile',
+                id: id,
+                // The worker runs from a blob: URL, against which relative URLs don't resolve
+                url: new URL(url, document.baseURI).href,
+                credentials: options.crossOrigin === 'use-credentials' ? 'include' : 'same-origin',
+                size: [tileSize.x, tileSize.y],
+                clip: !!clip && this._tileVisibility(coords) === 'partial' && !options.stroke &&
+                    !(options.feather > 0) && !options.outsideStyle && !sortedRegions(this._regions).length
+            };
+            
+            var state = null;
+            if (message.clip) {
+                state = this._syncWorker();
+                var corners = this._tileCorners(coords, 0);
+                message.nw = [corners[0].x, corners[0].y];
+                message.scale = [
+                    tileSize.x / (corners[1].x - corners[0].x),
+                    tileSize.y / (corners[1].y - corners[0].y)
+                ];
+            }
+            
+            this._workerCallbacks[id] = L.Util.bind(function(reply) {
+                if (reply.error) {
+                    var verb = reply.error === 'decode' ? 'decode' : 'load';
+                    callback(clipError('Failed to ' + verb + ' tile', reply.error, url));
+                    return;
+                }
+                
+                // The mask changed while the tile was loading, clip it again here
+                var clipped = reply.clipped || null;
+                if (clipped && state !== this._workerState) {
+                    clipped.close();
+                    clipped = null;
+                }
+                callback(null, reply.source, clipped);
+            }, this);
+            
+            var worker = this._worker;
+            worker.postMessage(message);
+            
+            return L.Util.bind(function() {
+                delete this._workerCallbacks[id];
+                worker.postMessage({ type: 'abort', id: id });
+            }, this);
+        },
+        
+        /**
+         * Send the boundary to the worker when it changed since the last tile
+         * Returns the state the worker clips with
+         */
+        _syncWorker: function() {
+            var rings = this._getProjectedRings();
+            var state = this._workerState;
+            
+            if (!state || state.rings !== rings || state.invert !== this._invertClip || state.fillRule !== this._fillRule) {
+                state = this._workerState = { rings: rings, invert: this._invertClip, fillRule: this._fillRule };
+                this._worker.postMessage({
+                    type: 'boundary',
+                    rings: rings.map(function(ring) {
+                        return ring.map(function(point) {
+                            return [point.x, point.y];
+                        });
+                    }),
+                    invert: state.invert,
+                    fillRule: state.fillRule
+                });
+            }
+            return state;
+        },
+        
+        _onWorkerMessage: function(e) {
+            var reply = e.data;
+            var callback = this._workerCallbacks[reply.id];
+            
+            if (callback) {
+                delete this._workerCallbacks[reply.id];
+                callback(reply);
+            } else if (reply.source) {
+                // Aborted meanwhile
+                reply.source.close();
+                if (reply.clipped) {
+                    reply.clipped.close();
+                }
+            }
+        },
+        
+        /**
+         * The worker failed to start or crashed: load on the main thread from now on
+         */
+        _onWorkerError: function() {
+            this._workerFailed = true;
+            this._stopWorker();
+        },
+        
+        /**
+         * Terminate the worker, failing the tiles still loading in it so
+         * that toImage() and getClippedStats() settle
+         */
+        _stopWorker: function() {
+            var callbacks = this._workerCallbacks;
+            
+            if (this._worker) {
+                this._worker.terminate();
+                this._worker = null;
+                this._workerCallbacks = {};
+                for (var id in callbacks) {
+                    callbacks[id]({ error: 'load' });
+                }
+            }
+        },
+        
+        /**
+         * Call fn with request parameters temporarily overridden by params
+         * Layers with parameters (WMS) override this to preload other frames
+         */
+        _withParams: function(params, fn) {
+            return fn.call(this);
+        },
+        
+        /**
+         * Source cache key of a tile: its URL, or its key for layers drawing their own tiles
+         */
+        _sourceKey: function(coords) {
+            return this.getTileUrl ? this.getTileUrl(coords) : this._tileCoordsToKey(coords);
+        },
+        
+        /**
+         * Apply clipping to tile
+         */
+        _applyClip: function(canvas, ctx, tileImg, coords, done, clipped) {
+            var tileSize = this.getTileSize();
+            var visibility = this._tileVisibility(coords);
+            
+            ctx.clearRect(0, 0, tileSize.x, tileSize.y);
+            if (clipped) {
+                // Already clipped in the worker
+                ctx.drawImage(clipped, 0, 0, tileSize.x, tileSize.y);
+                clipped.close();
+            } else {
+                this._drawClippedTile(ctx, tileImg, coords, visibility);
+            }
+            
+            this.fire('tileclipped', { tile: canvas, coords: coords, visibility: visibility });
+            
+            // Call done callback
+            done(null, canvas);
+        },
+        
+        /**
+         * Draw a tile image through the mask and the regions
+         */
+        _drawClippedTile: function(ctx, tileImg, coords, visibility) {
+            var tileSize = this.getTileSize();
+            
+            if (visibility === 'visible') {
+                // Entirely inside the mask, no clipping needed
+                ctx.drawImage(tileImg, 0, 0, tileSize.x, tileSize.y);
+            } else if (visibility === 'hidden') {
+                // Entirely outside the mask, only the outside style shows
+                if (this.options.outsideStyle) {
+                    drawOutside(ctx, tileImg, tileSize, this.options.outsideStyle);
+                }
+            } else {
+                // Project boundary rings to tile pixel space and draw the clipped tile
+                var boundaryPixels = this._projectBoundaryToTile(coords);
+                drawClipped(ctx, tileImg, tileSize, boundaryPixels, this._getClipOptions());
+            }
+            
+            // Named regions are composited over the boundary clip
+            this._drawRegions(ctx, tileImg, coords);
+        },
+        
+        /**
+         * Re-clip the loaded tiles in place from their cached source images
+         * Tiles still loading pick up the new clip when they arrive
+         */
+        _reclipTiles: function() {
+            for (var key in this._tiles) {
+                if (this._tiles[key].loaded) {
+                    this._reclipTile(this._tiles[key]);
+                }
+            }
+        },
+        
+        _reclipTile: function(tile) {
+            // Sources evicted from the cache are fetched again
+            this._renderTile(tile.el, this._wrapCoords(tile.coords), L.Util.falseFn);
+        },
+        
+        /**
+         * Get source cache statistics: {hits, misses, entries, bytes, maxBytes}
+         */
+        getCacheStats: function() {
+            return this._sourceCache.getStats();
+        },
+        
+        /**
+         * Project boundary rings to the pixel space of a tile
+         * Uses the rings simplified for the tile's zoom, clipped to the tile
+         * (plus the margin the stroke and feather can reach)
+         */
+        _projectBoundaryToTile: function(coords) {
+            return this._ringsToTile(this._getZoomRings(coords.z), coords, this._clipMargin() + 1);
+        },
+        
+        /**
+         * Project rings ({points, bounds} in request CRS units) to the pixel
+         * space of a tile, clipped to the tile plus a margin in pixels
+         */
+        _ringsToTile: function(rings, coords, margin) {
+            var tileSize = this.getTileSize();
+            var corners = this._tileCorners(coords, 0);
+            var nw = corners[0];
+            var scaleX = tileSize.x / (corners[1].x - nw.x);
+            var scaleY = tileSize.y / (corners[1].y - nw.y);
+            var tileRect = L.bounds(this._tileCorners(coords, margin));
+            
+            return rings.filter(function(ring) {
+                return tileRect.intersects(ring.bounds);
+            }).map(function(ring) {
+                return tileRect.contains(ring.bounds) ? ring.points : L.PolyUtil.clipPolygon(ring.points, tileRect);
+            }).filter(function(points) {
+                return points.length >= 3;
+            }).map(function(points) {
+                return points.map(function(point) {
+                    return {
+                        x: (point.x - nw.x) * scaleX,
+                        y: (point.y - nw.y) * scaleY
+                    };
+                });
+            });
+        },
+        
+        /**
+         * Boundary rings projected in the request CRS
+         */
+        _getProjectedRings: function() {
+            var crs = this._getCrs();
+            
+            if (!this._projectedRings || this._projectedCrs !== crs) {
+                this._projectedRings = boundaryRings(worldPolygons(this._boundary, crs, this._antimeridian)).map(function(ring) {
+                    return ring.map(function(latlng) {
+                        return crs.project(L.latLng(latlng[0], latlng[1]));
+                    });
+                });
+                this._projectedCrs = crs;
+                this._index = null;
+                this._zoomRings = {};
+            }
+            return this._projectedRings;
+        },
+        
+        /**
+         * Boundary rings simplified for a zoom level, in request CRS units
+         * Douglas-Peucker with `simplifyTolerance` pixels, computed once per zoom
+         */
+        _getZoomRings: function(zoom) {
+            var projectedRings = this._getProjectedRings();
+            
+            if (!this._zoomRings[zoom]) {
+                var tolerance = this.options.simplifyTolerance * this._unitsPerPixel(zoom);
+                
+                this._zoomRings[zoom] = projectedRings.map(function(ring) {
+                    return tolerance > 0 ? L.LineUtil.simplify(ring, tolerance) : ring;
+                }).filter(function(points) {
+                    // Rings smaller than the tolerance vanish
+                    return points.length >= 3;
+                }).map(function(points) {
+                    return { points: points, bounds: L.bounds(points) };
+                });
+            }
+            return this._zoomRings[zoom];
+        },
+        
+        /**
+         * Size of a pixel at a zoom level in request CRS units
+         */
+        _unitsPerPixel: function(zoom) {
+            var map = this._map;
+            var crs = this._getCrs();
+            var center = map.project(map.getCenter(), zoom);
+            var a = crs.project(map.unproject(center, zoom));
+            var b = crs.project(map.unproject(center.add([1, 1]), zoom));
+            
+            return Math.min(Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        },
+        
+        /**
+         * Get the spatial index of the boundary, projected in the request CRS
+         */
+        _getIndex: function() {
+            var projectedRings = this._getProjectedRings();
+            
+            if (!this._index) {
+                this._index = new BoundaryIndex(projectedRings, this._fillRule);
+            }
+            return this._index;
+        },
+        
+        /**
+         * Projected NW and SE corners of a tile, padded by margin pixels
+         */
+        _tileCorners: function(coords, margin) {
+            var map = this._map;
+            var crs = this._getCrs();
+            var tileSize = this.getTileSize();
+            var nwPoint = L.point(coords.x * tileSize.x - margin, coords.y * tileSize.y - margin);
+            var sePoint = L.point((coords.x + 1) * tileSize.x + margin, (coords.y + 1) * tileSize.y + margin);
+            
+            return [
+                crs.project(map.unproject(nwPoint, coords.z)),
+                crs.project(map.unproject(sePoint, coords.z))
+            ];
+        },
+        
+        /**
+         * Whether a tile shows anything: part of the boundary clip,
+         * the outside style or one of the regions
+         */
+        _tileShown: function(coords) {
+            if (this._tileVisibility(coords) !== 'hidden' || this.options.outsideStyle) {
+                return true;
+            }
+            
+            var tileRect = L.bounds(this._tileCorners(coords, 0));
+            for (var id in this._regions) {
+                if (tileRect.intersects(this._getRegionRings(this._regions[id]).bounds)) {
+                    return true;
+                }
+            }
+            return false;
+        },
+        
+        /**
+         * Pixels around the boundary the stroke and feather can reach
+         */
+        _clipMargin: function() {
+            var stroke = this.options.stroke;
+            
+            return Math.ceil(Math.max(
+                this.options.feather || 0,
+                stroke ? (stroke.weight || 2) / 2 : 0
+            ));
+        },
+        
+        /**
+         * Classify a tile against the boundary: 'inside', 'outside' or 'partial'
+         * The tile is padded by the pixels the stroke and feather can reach
+         */
+        _classifyTile: function(coords) {
+            var tileRect = L.bounds(this._tileCorners(coords, this._clipMargin() + 1));
+            
+            return this._getIndex().classify(tileRect);
+        },
+        
+        /**
+         * How much of a tile the mask shows: 'visible', 'hidden' or 'partial'
+         */
+        _tileVisibility: function(coords) {
+            var tileClass = this._classifyTile(coords);
+            
+            if (tileClass === 'partial') {
+                return 'partial';
+            }
+            return (tileClass === 'inside') !== this._invertClip ? 'visible' : 'hidden';
+        },
+        
+        /**
+         * Check if tile intersects with boundary
+         */
+        _tileIntersectsBoundary: function(coords) {
+            return this._classifyTile(coords) !== 'outside';
+        },
+        
+        /**
+         * Check if a point is inside the boundary
+         * The test is done in projected coordinates, where boundary edges
+         * are straight lines as drawn on the tiles
+         */
+        _pointInBoundary: function(latlng) {
+            var crs = this._getCrs();
+            return this._getIndex().contains(crs.project(crs.wrapLatLng(L.latLng(latlng))));
+        },
+        
+        /**
+         * Get boundary bounds, on the world copy nearest to the map's center
+         */
+        _getBoundaryBounds: function() {
+            var lng = this._map ? this._map.getCenter().lng : 0;
+            return boundaryBoundsNear(this._boundary, this._getCrs(), lng, this._antimeridian);
+        },
+        
+        /**
+         * CRS the WMS images are requested in
+         */
+        _getCrs: function() {
+            return this._crs || this.options.crs || (this._map && this._map.options.crs) || L.CRS.EPSG3857;
+        },
+        
+        /**
+         * Tiles of a zoom level covering a pixel range, left out where
+         * GridLayer's _isValidTile would (rows past the poles, columns past
+         * the edges of a world that doesn't wrap), each with the coords of the
+         * tile it repeats, wrapped like _wrapCoords does at that zoom
+         * 
+         * @returns {Array} [{coords, wrapped}]
+         */
+        _tilesInRange: function(pixelBounds, zoom) {
+            var map = this._map;
+            var crs = map.options.crs;
+            var tileSize = this.getTileSize();
+            var range = this._pxBoundsToTileRange(pixelBounds);
+            var world = !crs.infinite && this._pxBoundsToTileRange(map.getPixelWorldBounds(zoom));
+            
+            var wrapX = crs.wrapLng && !this.options.noWrap && [
+                Math.floor(map.project([0, crs.wrapLng[0]], zoom).x / tileSize.x),
+                Math.ceil(map.project([0, crs.wrapLng[1]], zoom).x / tileSize.x)
+            ];
+            var wrapY = crs.wrapLat && !this.options.noWrap && [
+                Math.floor(map.project([crs.wrapLat[0], 0], zoom).y / tileSize.y),
+                Math.ceil(map.project([crs.wrapLat[1], 0], zoom).y / tileSize.y)
+            ];
+            
+            var tiles = [];
+            for (var y = range.min.y; y <= range.max.y; y++) {
+                for (var x = range.min.x; x <= range.max.x; x++) {
+                    if (world && ((!crs.wrapLng && (x < world.min.x || x > world.max.x)) ||
+                        (!crs.wrapLat && (y < world.min.y || y > world.max.y)))) {
+                        continue;
+                    }
+                    
+                    var coords = L.point(x, y);
+                    var wrapped = L.point(wrapX ? L.Util.wrapNum(x, wrapX) : x, wrapY ? L.Util.wrapNum(y, wrapY) : y);
+                    coords.z = wrapped.z = zoom;
+                    tiles.push({ coords: coords, wrapped: wrapped });
+                }
+            }
+            return tiles;
+        },
+        
+        /**
+         * Export the clipped raster of an extent
+         * Tiles of the closest zoom level at least as detailed as the requested
+         * size are stitched (from the source cache when loaded), then clipped.
+         * Reading the pixels back requires CORS, see the `crossOrigin` option.
+         * 
+         * @param {Object} options - {bounds, width, height, format}, where format
+         *     is an image MIME type (default 'image/png') or 'canvas'
+         * @returns {Promise} {image, bounds, width, height, crs, worldFile}
+         */
+        toImage: function(options) {
+            options = options || {};
+            
+            var map = this._map;
+            if (!map) {
+                return Promise.reject(new Error('Layer is not on a map'));
+            }
+            if (this._boundaryLoading) {
+                return this._boundaryLoading.then(L.Util.bind(this.toImage, this, options));
+            }
+            
+            var extent = exportExtent(map, options);
+            var size = extent.size;
+            var tileSize = this.getTileSize();
+            
+            var scale = size.x / map.project(extent.se).subtract(map.project(extent.nw)).x;
+            var zoom = this._clampZoom(Math.ceil(map.getScaleZoom(scale) - 1e-6));
+            var origin = map.project(extent.nw, zoom);
+            var end = map.project(extent.se, zoom);
+            var kx = size.x / (end.x - origin.x);
+            var ky = size.y / (end.y - origin.y);
+            
+            var stitched = document.createElement('canvas');
+            stitched.width = size.x;
+            stitched.height = size.y;
+            var stitchedCtx = stitched.getContext('2d');
+            
+            var self = this;
+            var drawTile = function(coords, wrapped) {
+                return new Promise(function(resolve, reject) {
+                    self._loadSource(wrapped, function(err, img) {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        stitchedCtx.drawImage(img,
+                            (coords.x * tileSize.x - origin.x) * kx, (coords.y * tileSize.y - origin.y) * ky,
+                            tileSize.x * kx, tileSize.y * ky);
+                        resolve();
+                    });
+                });
+            };
+            
+            var tiles = [];
+            this._tilesInRange(L.bounds(origin, end), zoom).forEach(function(tile) {
+                if (this._tileShown(tile.wrapped)) {
+                    tiles.push(drawTile(tile.coords, tile.wrapped));
+                }
+            }, this);
+            
+            return Promise.all(tiles).then(function() {
+                var canvas = document.createElement('canvas');
+                canvas.width = size.x;
+                canvas.height = size.y;
+                
+                var crs = self._getCrs();
+                var ctx = canvas.getContext('2d');
+                var project = imageProjector(extent.nw, extent.se, size, crs);
+                drawClipped(ctx, stitched, size, projectBoundary(self._boundary, project, crs, self._antimeridian), self._getClipOptions());
+                
+                sortedRegions(self._regions).forEach(function(region) {
+                    drawRegion(ctx, stitched, size, projectBoundary(region.boundary, project, crs, self._antimeridian), region, self._fillRule);
+                });
+                
+                return exportImage(canvas, extent, crs, options.format);
+            });
+        },
+        
+        /**
+         * Pixel statistics of the raster inside the boundary
+         * Reads back the tiles of one zoom level (from the source cache when
+         * loaded) through the clip mask. Requires CORS, like toImage.
+         * 
+         * @param {Object} options - {zoom, bounds, legend, tolerance}; zoom defaults
+         *     to the map's, bounds to the boundary's (the map view when inverted)
+         * @returns {Promise} {zoom, bounds, pixels, area, classes}, areas in m²
+         */
+        getClippedStats: function(options) {
+            options = options || {};
+            
+            var map = this._map;
+            if (!map) {
+                return Promise.reject(new Error('Layer is not on a map'));
+            }
+            if (this._boundaryLoading) {
+                return this._boundaryLoading.then(L.Util.bind(this.getClippedStats, this, options));
+            }
+            
+            var zoom = this._clampZoom(options.zoom !== undefined ? options.zoom : Math.round(map.getZoom()));
+            var bounds = L.latLngBounds(options.bounds ||
+                (this._invertClip ? map.getBounds() : this._getBoundaryBounds()));
+            var tileSize = this.getTileSize();
+            var pixelBounds = L.bounds(
+                map.project(bounds.getNorthWest(), zoom).round(),
+                map.project(bounds.getSouthEast(), zoom).round());
+            
+            var stats = new RasterStats(options.legend, options.tolerance);
+            var self = this;
+            var countTile = function(tile) {
+                var origin = tile.coords.scaleBy(tileSize);
+                var range = pixelRange(pixelBounds.min.subtract(origin), pixelBounds.max.subtract(origin), tileSize);
+                var coords = tile.wrapped;
+                
+                return new Promise(function(resolve, reject) {
+                    self._loadSource(coords, function(err, img) {
+                        if (err) {
+                            reject(err);
+                            return;
+                        }
+                        try {
+                            self._addTileStats(stats, img, coords, range);
+                            resolve();
+                        } catch (e) {
+                            reject(readbackError(e, self._sourceKey(coords)));
+                        }
+                    });
+                });
+            };
+            
+            var tiles = [];
+            this._tilesInRange(pixelBounds, zoom).forEach(function(tile) {
+                if (this._tileVisibility(tile.wrapped) !== 'hidden') {
+                    tiles.push(countTile(tile));
+                }
+            }, this);
+            
+            return Promise.all(tiles).then(function() {
+                return L.extend({ zoom: zoom, bounds: bounds }, stats.getResult());
+            });
+        },
+        
+        /**
+         * Count the pixels of a source tile within range (tile pixels) that the mask shows
+         */
+        _addTileStats: function(stats, img, coords, range) {
+            var tileSize = this.getTileSize();
+            
+            var source = scratchCanvas(2, tileSize);
+            var sourceCtx = source.getContext('2d');
+            sourceCtx.drawImage(img, 0, 0, tileSize.x, tileSize.y);
+            var pixels = sourceCtx.getImageData(0, 0, tileSize.x, tileSize.y).data;
+            
+            var mask = null;
+            if (this._tileVisibility(coords) === 'partial') {
+                var maskCanvas = clipMask(tileSize, this._projectBoundaryToTile(coords), {
+                    invert: this._invertClip,
+                    fillRule: this._fillRule
+                });
+                mask = maskCanvas.getContext('2d').getImageData(0, 0, tileSize.x, tileSize.y).data;
+            }
+            
+            var corners = this._tileCoordsToNwSe(coords);
+            var areas = pixelAreas(corners[0], corners[1], tileSize, this._getCrs());
+            
+            stats.add(pixels, mask, tileSize.x, areas, range);
+        },
+        
+        /**
+         * Update boundary (useful for dynamic clipping)
+         */
+        setBoundary: function(boundary) {
+            // Remote boundaries replace the current one once loaded
+            if (isRemoteBoundary(boundary)) {
+                this._loadBoundary(boundary);
+                return this;
+            }
+            
+            // The live layer followed may have been emptied, which hides everything
+            this._boundary = normalizeBoundary(boundary, boundary === this._liveSource);
+            this._boundaryLoading = null; // Supersedes a remote boundary still loading
+            this._projectedRings = null;
+            followBoundary(this, boundary);
+            this.fire('boundarychange', { boundary: this._boundary });
+            
+            if (this._clipMode === 'css') {
+                this._updateClipPath();
+                this._reloadSkippedTiles();
+            } else {
+                // Re-clip tiles from the source cache, only the mask changed
+                this._reclipTiles();
+            }
+            this._resumeClip();
+            return this;
+        },
+        
+        /**
+         * Fetch a remote boundary ({url} or {wfs}) and switch to it once loaded
+         * Fires boundaryload, or boundaryerror when it can't be loaded or parsed
+         */
+        _loadBoundary: function(boundary) {
+            var url = remoteBoundaryUrl(boundary, this);
+            var loading = fetchBoundary(boundary, url);
+            this._boundaryLoading = loading;
+            
+            loading.then(L.Util.bind(function(polygons) {
+                // A newer boundary replaced this one meanwhile
+                if (this._boundaryLoading !== loading) return;
+                
+                this.setBoundary(polygons);
+                this.fire('boundaryload', { boundary: this._boundary, url: url });
+            }, this), L.Util.bind(function(error) {
+                if (this._boundaryLoading !== loading) return;
+                
+                this._boundaryLoading = null;
+                this.fire('boundaryerror', { url: url, cause: error.cause, error: error });
+                this._resumeClip();
+            }, this));
+        },
+        
+        /**
+         * Draw the tiles held while the remote boundary was loading
+         */
+        _resumeClip: function() {
+            var held = this._heldTiles;
+            this._heldTiles = [];
+            
+            held.forEach(function(tile) {
+                tile.canvas._cancelClip = null;
+                this._renderTile(tile.canvas, tile.coords, tile.done);
+            }, this);
+        },
+        
+        /**
+         * Re-clip to the edited boundary layer, at most once per animation frame
+         * Edits made while the layer is off the map are picked up on add
+         */
+        _onBoundaryEdit: function() {
+            if (!this._map) {
+                this._liveStale = true;
+            } else if (!this._liveFrame) {
+                this._liveFrame = L.Util.requestAnimFrame(function() {
+                    this._liveFrame = null;
+                    if (this._liveSource) {
+                        this.setBoundary(this._liveSource);
+                    }
+                }, this);
+            }
+        },
+        
+        /**
+         * Cancel the pending live re-clip on remove, it is done on the next add
+         */
+        _stopLive: function() {
+            if (this._liveFrame) {
+                L.Util.cancelAnimFrame(this._liveFrame);
+                this._liveFrame = null;
+                this._liveStale = true;
+            }
+        },
+        
+        /**
+         * Follow the edits made while the layer was off the map
+         */
+        _resumeLive: function() {
+            if (this._liveStale) {
+                this._liveStale = false;
+                if (this._liveSource) {
+                    this.setBoundary(this._liveSource);
+                }
+            }
+        },
+        
+        /**
+         * Get current boundary
+         * Returns an array of polygons, each an array of [lat, lng] rings
+         */
+        getBoundary: function() {
+            return this._boundary;
+        },
+        
+        /**
+         * Add a named clip region, composited separately over the boundary clip
+         * (canvas mode only). Replaces the region with the same id, if any.
+         * 
+         * @param {String} id - Region name
+         * @param {L.LatLngBounds|L.Polygon|GeoJSON|Array} geometry - Same formats as the boundary
+         * @param {Object} options - {opacity (0-1), filter (CSS filter), zIndex}
+         */
+        addRegion: function(id, geometry, options) {
+            this._regions[id] = createRegion(id, geometry, options);
+            this.fire('regionchange', { id: id, region: this._regions[id] });
+            this._redrawRegions();
+            return this;
+        },
+        
+        /**
+         * Remove a named clip region
+         */
+        removeRegion: function(id) {
+            if (this._regions[id]) {
+                delete this._regions[id];
+                this.fire('regionchange', { id: id, region: null });
+                this._redrawRegions();
+            }
+            return this;
+        },
+        
+        /**
+         * Get the regions in drawing order: [{id, boundary, opacity, filter, zIndex}]
+         */
+        getRegions: function() {
+            return sortedRegions(this._regions).map(function(region) {
+                return {
+                    id: region.id,
+                    boundary: region.boundary,
+                    opacity: region.opacity,
+                    filter: region.filter,
+                    zIndex: region.zIndex
+                };
+            });
+        },
+        
+        /**
+         * Re-clip loaded tiles after the regions changed
+         */
+        _redrawRegions: function() {
+            if (this._clipMode !== 'css') {
+                this._reclipTiles();
+            }
+        },
+        
+        /**
+         * Composite the regions over a clipped tile
+         */
+        _drawRegions: function(ctx, tileImg, coords) {
+            var tileSize = this.getTileSize();
+            
+            sortedRegions(this._regions).forEach(function(region) {
+                var rings = this._ringsToTile(this._getRegionRings(region).rings, coords, 1);
+                if (rings.length) {
+                    drawRegion(ctx, tileImg, tileSize, rings, region, this._fillRule);
+                }
+            }, this);
+        },
+        
+        /**
+         * Region rings projected in the request CRS: {rings: [{points, bounds}], bounds}
+         */
+        _getRegionRings: function(region) {
+            var crs = this._getCrs();
+            var cached = this._regionRings[region.id];
+            
+            if (!cached || cached.region !== region || cached.crs !== crs) {
+                var rings = boundaryRings(worldPolygons(region.boundary, crs, this._antimeridian)).map(function(ring) {
+                    var points = ring.map(function(latlng) {
+                        return crs.project(L.latLng(latlng[0], latlng[1]));
+                    });
+                    return { points: points, bounds: L.bounds(points) };
+                });
+                var corners = rings.reduce(function(points, ring) {
+                    return points.concat([ring.bounds.min, ring.bounds.max]);
+                }, []);
+                
+                cached = this._regionRings[region.id] = {
+                    region: region,
+                    crs: crs,
+                    rings: rings,
+                    bounds: L.bounds(corners)
+                };
+            }
+            return cached;
+        },
+        
+        /**
+         * Switch between showing the inside (false) or the outside (true)
+         * of the boundary, re-clipping loaded tiles without refetching them
+         */
+        setInvert: function(invert) {
+            invert = !!invert;
+            if (invert !== this._invertClip) {
+                this._invertClip = invert;
+                
+                if (this._clipMode === 'css') {
+                    this._updateClipPath();
+                    this._reloadSkippedTiles();
+                } else {
+                    this._reclipTiles();
+                }
+            }
+            return this;
+        },
+        
+        /**
+         * Update the clip styles (stroke, feather, outsideStyle),
+         * re-clipping loaded tiles without refetching them
+         */
+        setClipStyle: function(style) {
+            L.setOptions(this, style);
+            
+            if (this._clipMode !== 'css') {
+                this._reclipTiles();
+            }
+            return this;
+        },
+        
+        /**
+         * Options for drawClipped
+         */
+        _getClipOptions: function() {
+            return {
+                invert: this._invertClip,
+                fillRule: this._fillRule,
+                stroke: this.options.stroke,
+                feather: this.options.feather,
+                outsideStyle: this.options.outsideStyle
+            };
+        },
+        
+        /**
+         * Switch between 'canvas' and 'css' clipping
+         */
+        setClipMode: function(clipMode) {
+            if (clipMode === this._clipMode) {
+                return this;
+            }
+            
+            if (this._map && this._clipMode === 'css') {
+                this._removeClipPath();
+            }
+            this._clipMode = clipMode;
+            
+            if (this._map) {
+                if (clipMode === 'css') {
+                    this._initClipPath();
+                }
+                this.redraw();
+            }
+            return this;
+        },
+        
+        /**
+         * Called when added to map
+         */
+        onAdd: function(map) {
+            parentMethod(this, 'onAdd').call(this, map);
+            map.on('moveend', this._retryFailedTiles, this);
+            
+            if (this._clipMode === 'css') {
+                this._initClipPath();
+            }
+            this._resumeLive();
+        },
+        
+        /**
+         * Clean up on remove
+         */
+        onRemove: function(map) {
+            this._stopLive();
+            if (this._clipMode === 'css') {
+                this._removeClipPath();
+            }
+            
+            map.off('moveend', this._retryFailedTiles, this);
+            
+            // The source cache keeps its images, so re-adding the layer is
+            // instant, but closes the worker's bitmaps, which hold GPU memory.
+            // The tiles removed first abort their own requests.
+            parentMethod(this, 'onRemove').call(this, map);
+            this._stopWorker();
+            this._sourceCache.removeBitmaps();
+        },
+        
+        /**
+         * Clip each tile level with its own SVG clip path (CSS mode)
+         * The paths are in the level's pixels, so they follow the transforms
+         * Leaflet applies to the levels while zooming
+         */
+        _initClipPath: function() {
+            this._levelClips = {};
+            this._map.on('moveend', this._moveClipPath, this);
+            this._map.on('zoomanim', this._animateClipPath, this);
+            this._updateClipPath();
+        },
+        
+        _removeClipPath: function() {
+            this._map.off('moveend', this._moveClipPath, this);
+            this._map.off('zoomanim', this._animateClipPath, this);
+            
+            for (var zoom in this._levelClips) {
+                L.DomUtil.remove(this._levelClips[zoom].svg);
+                if (this._levels[zoom]) {
+                    this._levels[zoom].el.style.clipPath = '';
+                }
+            }
+            this._levelClips = null;
+        },
+        
+        _onCreateLevel: function() {
+            this._updateClipPath();
+        },
+        
+        _onRemoveLevel: function(zoom) {
+            var clip = this._levelClips && this._levelClips[zoom];
+            if (clip) {
+                L.DomUtil.remove(clip.svg);
+                delete this._levelClips[zoom];
+            }
+        },
+        
+        _moveClipPath: function() {
+            this._updateClipPath();
+        },
+        
+        // Cover the world copies of the view being zoomed to
+        _animateClipPath: function(e) {
+            this._updateClipPath(e.center, e.zoom);
+        },
+        
+        /**
+         * Re-project the CSS clip paths to the pixels of each level, with
+         * copies of the boundary for every world around the view
+         * (default: the current view)
+         */
+        _updateClipPath: function(center, zoom) {
+            if (!this._levelClips) return;
+            
+            var map = this._map;
+            if (!center) {
+                center = map.getCenter();
+                zoom = map.getZoom();
+            }
+            var viewBounds = map.getPixelBounds(center, zoom);
+            var nw = map.unproject(viewBounds.min, zoom);
+            var se = map.unproject(viewBounds.max, zoom);
+            
+            for (var z in this._levels) {
+                var level = this._levels[z];
+                var clip = this._levelClips[z];
+                if (!clip) {
+                    clip = this._levelClips[z] = createClipPath('userSpaceOnUse');
+                    this._container.appendChild(clip.svg);
+                    level.el.style.clipPath = clip.url;
+                }
+                
+                // The view in the level's pixels, one world (or a hundred views
+                // without one) around it so panning doesn't uncover unclipped tiles
+                var worldBounds = map.getPixelWorldBounds(level.zoom);
+                var min = map.project(nw, level.zoom);
+                var max = map.project(se, level.zoom);
+                var padding = worldBounds ? worldBounds.getSize() : max.subtract(min).multiplyBy(100);
+                min = min.subtract(padding);
+                max = max.add(padding);
+                
+                var west = map.unproject(min, level.zoom).lng;
+                var east = map.unproject(max, level.zoom).lng;
+                var rings = boundaryRings(worldCopies(this._boundary, map.options.crs, west, east, this._antimeridian)).map(function(ring) {
+                    return ring.map(function(latlng) {
+                        return map.project(L.latLng(latlng[0], latlng[1]), level.zoom).subtract(level.origin);
+                    });
+                });
+                var outerRect = L.bounds(min.subtract(level.origin), max.subtract(level.origin));
+                
+                updateClipPath(clip, rings, outerRect, this._invertClip, this._fillRule);
+            }
+        }
+    };
+
+    // ============================================================================
+    // CLIPPED WMS TILE LAYER
+    // ============================================================================
+
+    /**
+     * WMS Tile Layer with boundary clipping
+     * Extends L.TileLayer.WMS and clips tiles to a boundary
+     */
+    L.TileLayer.WMS.Clipped = L.TileLayer.WMS.extend({
+        
+        includes: L.ClipMixin,
+        
+        // Clipping options, never sent to the WMS server
+        options: L.extend({}, clipOptions, {
+            
+            // Open a popup with GetFeatureInfo results on click:
+            // true, or a function(result) returning the popup content
+            featureInfo: false,
+            
+            // GetFeatureInfo defaults (queryLayers defaults to the `layers` parameter)
+            infoFormat: 'text/html',
+            featureCount: 1,
+            queryLayers: null,
+            
+            // Show HTML results in the popup as the server sent them, scripts
+            // included, instead of sanitised (only for trusted servers)
+            rawFeatureInfo: false,
+            
+            // Animation frames: values of frameDimension shown by setFrame(), step() and play()
+            frames: null,
+            frameDimension: 'time',
+            fps: 1,
+            loop: true,
+            
+            // Frames loaded ahead of the current one, and cross-fade duration
+            // between frames in milliseconds (canvas mode only)
+            preloadFrames: 2,
+            fadeDuration: 300,
+            
+            // Also clip on the server: 'clip' (GeoServer), 'cql' or 'sld',
+            // and the geometry attribute the CQL and SLD filters test
+            serverClip: false,
+            serverClipAttribute: 'the_geom',
+            
+            // Load the capabilities on add and fire 'extentwarning' when the
+            // boundary misses the extent of the layers
+            checkExtent: false
+        }),
+        
+        /**
+         * Initialize clipped WMS layer
+         * 
+         * @param {String} baseUrl - WMS server URL
+         * @param {Object} options - WMS layer options
+         * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Boundary to clip to
+         */
+        initialize: function(baseUrl, options, boundary) {
+            // Call parent constructor
+            L.TileLayer.WMS.prototype.initialize.call(this, baseUrl, options);
+            
+            // The first tiles show the first animation frame
+            if (this.options.frames && this.options.frames.length) {
+                this._frameIndex = 0;
+                L.extend(this.wmsParams, this._frameParams(0));
+            }
+            
+            this._initClip(boundary);
+            this.on('add', this._loadExtent, this);
+            this.on('add', this._resumePlayback, this);
+            this.on('boundarychange', this._checkExtent, this);
+        },
+        
+        /**
+         * Call fn with WMS parameters temporarily overridden by params
+         * (upcoming animation frames)
+         */
+        _withParams: function(params, fn) {
+            var wmsParams = this.wmsParams;
+            
+            if (params) {
+                this.wmsParams = L.extend({}, wmsParams, params);
+            }
+            try {
+                return fn.call(this);
+            } finally {
+                this.wmsParams = wmsParams;
+            }
+        },
+        
+        _reclipTiles: function() {
+            this._stopFade();
+            L.ClipMixin._reclipTiles.call(this);
+        },
+        
+        /**
+         * GetMap URL of a tile, with the server-side clip parameters if any
+         */
+        getTileUrl: function(coords) {
+            var params = serverClipParams(this, coords.z);
+            
+            return this._withParams(params, function() {
+                return L.TileLayer.WMS.prototype.getTileUrl.call(this, coords);
+            });
+        },
+        
+        /**
+         * Load a tile source, falling back to client-side clipping
+         * when the server refuses the server-side clip
+         * Other failures (timeouts, server errors) fail the tile only.
+         */
+        _loadSource: function(coords, callback, params, clip) {
+            var serverClip = !!serverClipParams(this, coords.z);
+            var cancelled = false;
+            
+            var cancel = L.ClipMixin._loadSource.call(this, coords, function(err) {
+                var args = arguments;
+                
+                if (err && serverClip) {
+                    serverClipRefused(err, L.Util.bind(function(refused) {
+                        if (cancelled) return;
+                        
+                        if (refused) {
+                            rejectServerClip(this, err);
+                            cancel = L.ClipMixin._loadSource.call(this, coords, callback, params, clip);
+                        } else {
+                            callback.apply(this, args);
+                        }
+                    }, this));
+                    return;
+                }
+                callback.apply(this, arguments);
+            }, params, clip);
+            
+            return function() {
+                cancelled = true;
+                cancel();
+            };
+        },
+        
+        /**
+         * Query the WMS layer at a point with GetFeatureInfo
+         * Resolves with {url, contentType, content}, or null where the mask
+         * hides the layer, in which case no request is sent
+         * 
+         * @param {L.LatLng} latlng - Point to query
+         * @param {Object} options - Overrides {infoFormat, featureCount, queryLayers}
+         */
+        getFeatureInfo: function(latlng, options) {
+            var map = this._map;
+            if (!map) {
+                return Promise.reject(new Error('Layer is not on a map'));
+            }
+            
+            latlng = L.latLng(latlng);
+            if (this._pointInBoundary(latlng) === this._invertClip) {
+                return Promise.resolve(null);
+            }
+            
+            // Query the tile under the point, as it is rendered
+            var tileSize = this.getTileSize();
+            var zoom = this._clampZoom(Math.round(map.getZoom()));
+            var pixel = map.project(latlng, zoom);
+            var coords = pixel.unscaleBy(tileSize).floor();
+            coords.z = zoom;
+            
+            var point = pixel.subtract(coords.scaleBy(tileSize));
+            coords = this._wrapCoords(coords);
+            var corners = this._tileCoordsToNwSe(coords);
+            
+            var url = featureInfoUrl(L.TileLayer.prototype.getTileUrl.call(this, coords), this.wmsParams, {
+                bbox: wmsBbox(corners[0], corners[1], this._crs, this._wmsVersion),
+                size: tileSize,
+                point: point
+            }, L.extend({
+                infoFormat: this.options.infoFormat,
+                featureCount: this.options.featureCount,
+                queryLayers: this.options.queryLayers,
+                uppercase: this.options.uppercase
+            }, options));
+            
+            return fetchFeatureInfo(url);
+        },
+        
+        _onFeatureInfoClick: function(e) {
+            openFeatureInfoPopup(this, e.latlng);
+        },
+        
+        /**
+         * Load the WMS capabilities of the layer's server (once)
+         * Resolves with {version, title, abstract, layers}, each layer being
+         * {name, title, abstract, queryable, crs, bounds, boundingBoxes, styles, dimensions}
+         */
+        getCapabilities: function() {
+            if (!this._capabilities) {
+                var url = capabilitiesUrl(this._baseUrl || this._url, this.wmsParams, this.options.uppercase);
+                
+                this._capabilities = fetchCapabilities(url);
+                this._capabilities.then(L.Util.bind(function(capabilities) {
+                    this._capabilitiesData = capabilities;
+                    this._checkExtent();
+                }, this), L.Util.bind(function() {
+                    // Loaded again next time
+                    this._capabilities = null;
+                }, this));
+            }
+            return this._capabilities;
+        },
+        
+        /**
+         * Capabilities of the layers shown (the `layers` parameter), in order
+         * Layers the server doesn't advertise are null
+         */
+        getLayerInfo: function() {
+            var names = this.wmsParams.layers.split(',');
+            
+            return this.getCapabilities().then(function(capabilities) {
+                return names.map(function(name) {
+                    return capabilitiesLayer(capabilities, name);
+                });
+            });
+        },
+        
+        /**
+         * Load the capabilities to check the extent (checkExtent option)
+         * Failures are left to explicit getCapabilities() calls
+         */
+        _loadExtent: function() {
+            if (this.options.checkExtent) {
+                this.getCapabilities();
+            }
+        },
+        
+        /**
+         * Warn when the boundary misses the extent the server advertises for
+         * the layers, which would leave the layer empty
+         */
+        _checkExtent: function() {
+            var capabilities = this._capabilitiesData;
+            if (!capabilities || !this._boundary.length || this._invertClip) return;
+            
+            var names = this.wmsParams.layers.split(',');
+            var layerBounds = null;
+            names.forEach(function(name) {
+                var info = capabilitiesLayer(capabilities, name);
+                if (info && info.bounds) {
+                    layerBounds = layerBounds ? layerBounds.extend(info.bounds) : L.latLngBounds([info.bounds]);
+                }
+            });
+            if (!layerBounds) return;
+            
+            // The unwrapped boundary may lie a world east or west of the extent
+            var bounds = boundaryBounds(unwrapPolygons(this._boundary, this._antimeridian));
+            var intersects = [-360, 0, 360].some(function(shift) {
+                return layerBounds.intersects(L.latLngBounds(
+                    [bounds.getSouth(), bounds.getWest() + shift],
+                    [bounds.getNorth(), bounds.getEast() + shift]));
+            });
+            
+            if (!intersects) {
+                this.fire('extentwarning', {
+                    layers: names,
+                    layerBounds: layerBounds,
+                    boundaryBounds: bounds
+                });
+            }
+        },
+        
+        /**
+         * Set the WMS TIME dimension
+         */
+        setTime: function(value, noRedraw) {
+            return this.setDimension('time', value, noRedraw);
+        },
+        
+        /**
+         * Set a WMS dimension: 'time', 'elevation' or a custom one (sent as DIM_<name>)
+         */
+        setDimension: function(name, value, noRedraw) {
+            var params = {};
+            params[dimensionParam(this.wmsParams, name)] = value;
+            
+            return this.setParams(params, noRedraw);
+        },
+        
+        /**
+         * Set the dimension values to animate through, and show the first one
+         */
+        setFrames: function(values, dimension) {
+            this.options.frames = values;
+            if (dimension) {
+                this.options.frameDimension = dimension;
+            }
+            return this.setFrame(0);
+        },
+        
+        /**
+         * Current animation frame: {index, value}
+         */
+        getFrame: function() {
+            var frames = this.options.frames || [];
+            var index = this._frameIndex || 0;
+            
+            return { index: index, value: frames[index] };
+        },
+        
+        /**
+         * Show an animation frame
+         * The frame's tiles are loaded before it replaces the current one,
+         * then loaded tiles cross-fade to it without flashing
+         */
+        setFrame: function(index) {
+            var frames = this.options.frames || [];
+            if (!frames.length) {
+                return this;
+            }
+            
+            this._frameIndex = (index % frames.length + frames.length) % frames.length;
+            this._showFrame(this._frameIndex);
+            return this;
+        },
+        
+        /**
+         * Move delta frames (default 1) forward or backward
+         * Without `loop`, playback pauses at either end
+         */
+        step: function(delta) {
+            var frames = this.options.frames || [];
+            var index = (this._frameIndex || 0) + (delta === undefined ? 1 : delta);
+            
+            if (!this.options.loop && (index < 0 || index >= frames.length)) {
+                return this.pause();
+            }
+            return this.setFrame(index);
+        },
+        
+        /**
+         * Play the animation at `fps` frames per second
+         * A frame that takes longer to load holds the next one back. Off the
+         * map, playback starts once the layer is added.
+         */
+        play: function() {
+            if (!this._playing) {
+                this._playing = true;
+                this.fire('play');
+                if (this._map) {
+                    this._scheduleFrame();
+                }
+            }
+            return this;
+        },
+        
+        pause: function() {
+            if (this._playing) {
+                this._playing = false;
+                clearTimeout(this._frameTimer);
+                this.fire('pause');
+            }
+            return this;
+        },
+        
+        isPlaying: function() {
+            return !!this._playing;
+        },
+        
+        setFps: function(fps) {
+            this.options.fps = fps;
+            return this;
+        },
+        
+        _scheduleFrame: function() {
+            clearTimeout(this._frameTimer);
+            this._frameTimer = setTimeout(L.Util.bind(this.step, this, 1), 1000 / this.options.fps);
+        },
+        
+        /**
+         * Start the playback requested while the layer was off the map
+         */
+        _resumePlayback: function() {
+            if (this._playing) {
+                this._scheduleFrame();
+            }
+        },
+        
+        /**
+         * WMS parameters of an animation frame
+         */
+        _frameParams: function(index) {
+            var params = {};
+            params[dimensionParam(this.wmsParams, this.options.frameDimension)] = this.options.frames[index];
+            return params;
+        },
+        
+        _showFrame: function(index) {
+            var params = this._frameParams(index);
+            var value = this.options.frames[index];
+            
+            if (!this._map) {
+                this.setParams(params, true);
+                this.fire('framechange', { index: index, value: value });
+                return;
+            }
+            
+            // A newer frame supersedes this one
+            var request = this._frameRequest = {};
+            var self = this;
+            
+            this._preloadFrame(params).then(function() {
+                return self._whenTilesLoaded();
+            }).then(function() {
+                if (request !== self._frameRequest || !self._map) return;
+                
+                self._swapFrame(params);
+                self.fire('framechange', { index: index, value: value });
+                
+                for (var i = 1; i <= self.options.preloadFrames; i++) {
+                    var next = index + i;
+                    if (next >= self.options.frames.length && !self.options.loop) break;
+                    self._preloadFrame(self._frameParams(next % self.options.frames.length));
+                }
+                
+                if (self._playing) {
+                    self._scheduleFrame();
+                }
+            });
+        },
+        
+        /**
+         * Load the source images of the current tiles for other WMS parameters
+         * Resolves when all are loaded, or failed: those fail again when shown
+         */
+        _preloadFrame: function(params) {
+            var loads = [];
+            
+            for (var key in this._tiles) {
+                var tile = this._tiles[key];
+                var coords = this._wrapCoords(tile.coords);
+                
+                if (tile.coords.z !== this._tileZoom || !this._tileShown(coords)) {
+                    continue;
+                }
+                loads.push(new Promise(L.Util.bind(function(coords, resolve) {
+                    this._loadSource(coords, function() { resolve(); }, params);
+                }, this, coords)));
+            }
+            return Promise.all(loads);
+        },
+        
+        /**
+         * Resolve once no tile is loading, so none is drawn with the previous parameters
+         */
+        _whenTilesLoaded: function() {
+            if (this._noTilesToLoad()) {
+                return Promise.resolve();
+            }
+            return new Promise(L.Util.bind(function(resolve) {
+                this.once('load', function() { resolve(); });
+            }, this));
+        },
+        
+        /**
+         * Switch loaded tiles to new WMS parameters
+         * Their sources are cached, so the tiles are redrawn synchronously
+         * and cross-faded from their previous content
+         */
+        _swapFrame: function(params) {
+            L.extend(this.wmsParams, params);
+            
+            if (this._clipMode === 'css') {
+                this.redraw();
+                return;
+            }
+            
+            this._stopFade();
+            var fades = [];
+            
+            for (var key in this._tiles) {
+                var tile = this._tiles[key];
+                if (!tile.loaded) continue;
+                
+                var coords = this._wrapCoords(tile.coords);
+                var source = this._sourceCache.get(this.getTileUrl(coords));
+                
+                if (!source) {
+                    // Hidden, failed or evicted: render it the usual way
+                    this._reclipTile(tile);
+                    continue;
+                }
+                
+                var previous = this.options.fadeDuration > 0 ? copyCanvas(tile.el) : null;
+                this._applyClip(tile.el, tile.el.getContext('2d'), source, coords, L.Util.falseFn);
+                
+                if (previous) {
+                    fades.push({ canvas: tile.el, previous: previous, next: copyCanvas(tile.el) });
+                }
+            }
+            
+            if (fades.length) {
+                this._crossFade(fades, this.options.fadeDuration);
+            }
+        },
+        
+        /**
+         * Blend tile canvases from their previous to their next content over duration ms
+         */
+        _crossFade: function(fades, duration) {
+            var start = Date.now();
+            
+            var draw = L.Util.bind(function() {
+                var t = Math.min((Date.now() - start) / duration, 1);
+                
+                fades.forEach(function(fade) {
+                    var ctx = fade.canvas.getContext('2d');
+                    ctx.clearRect(0, 0, fade.canvas.width, fade.canvas.height);
+                    ctx.globalAlpha = 1 - t;
+                    ctx.drawImage(fade.previous, 0, 0);
+                    ctx.globalAlpha = t;
+                    ctx.drawImage(fade.next, 0, 0);
+                    ctx.globalAlpha = 1;
+                });
+                
+                this._fadeFrame = t < 1 ? L.Util.requestAnimFrame(draw) : null;
+            }, this);
+            
+            draw();
+        },
+        
+        _stopFade: function() {
+            if (this._fadeFrame) {
+                L.Util.cancelAnimFrame(this._fadeFrame);
+                this._fadeFrame = null;
+            }
+        },
+        
+        getEvents: function() {
+            var events = L.TileLayer.WMS.prototype.getEvents.call(this);
+            
+            if (this.options.featureInfo) {
+                events.click = this._onFeatureInfoClick;
+            }
+            return events;
+        },
+        
+        /**
+         * Clean up on remove
+         */
+        onRemove: function(map) {
+            this.pause();
+            this._stopFade();
+            this._frameRequest = null;
+            
+            L.ClipMixin.onRemove.call(this, map);
+        }
+    });
+
+    // ============================================================================
+    // CLIPPED XYZ AND WMTS TILE LAYERS
+    // ============================================================================
+
+    /**
+     * Zoom of a tile level in tile URLs, with the zoomReverse and zoomOffset
+     * options. L.TileLayer uses the zoom shown instead, which is wrong for the
+     * tiles toImage and getClippedStats load at other levels.
+     */
+    function urlZoom(layer, zoom) {
+        var options = layer.options;
+        return (options.zoomReverse ? options.maxZoom - zoom : zoom) + options.zoomOffset;
+    }
+
+    /**
+     * XYZ tile layer with boundary clipping
+     */
+    L.TileLayer.Clipped = L.TileLayer.extend({
+        
+        includes: L.ClipMixin,
+        
+        options: clipOptions,
+        
+        /**
+         * Initialize clipped XYZ layer
+         * 
+         * @param {String} urlTemplate - Tile URL template, e.g. 'https://{s}.example.com/{z}/{x}/{y}.png'
+         * @param {Object} options - Tile layer and clipping options
+         * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Boundary to clip to
+         */
+        initialize: function(urlTemplate, options, boundary) {
+            L.TileLayer.prototype.initialize.call(this, urlTemplate, options);
+            
+            this._initClip(boundary);
+        },
+        
+        /**
+         * Tile URL at the zoom level of the tile, see urlZoom
+         */
+        getTileUrl: function(coords) {
+            var map = this._map;
+            var data = {
+                r: L.Browser.retina ? '@2x' : '',
+                s: this._getSubdomain(coords),
+                x: coords.x,
+                y: coords.y,
+                z: urlZoom(this, coords.z)
+            };
+            
+            if (map && !map.options.crs.infinite) {
+                var invertedY = this._pxBoundsToTileRange(map.getPixelWorldBounds(coords.z)).max.y - coords.y;
+                if (this.options.tms) {
+                    data.y = invertedY;
+                }
+                data['-y'] = invertedY;
+            }
+            return L.Util.template(this._url, L.extend(data, this.options));
+        }
+    });
+
+    // Create namespace if it doesn't exist
+    if (!L.TileLayer.WMTS) {
+        L.TileLayer.WMTS = {};
+    }
+
+    /**
+     * WMTS tile layer with boundary clipping
+     * Sends KVP GetTile requests, or fills a RESTful URL template. The tile
+     * matrices of the TileMatrixSet must match the map's tile grid
+     * (GoogleMapsCompatible for EPSG:3857).
+     */
+    L.TileLayer.WMTS.Clipped = L.TileLayer.extend({
+        
+        includes: L.ClipMixin,
+        
+        options: L.extend({}, clipOptions, {
+            layer: '',
+            style: 'default',
+            tileMatrixSet: 'GoogleMapsCompatible',
+            format: 'image/png',
+            
+            // 'KVP' or 'REST', default: REST when the URL has a {TileMatrix} placeholder
+            requestEncoding: null,
+            
+            // Identifier of the tile matrix for each zoom: an array indexed by zoom,
+            // a function(zoom), or null for the zoom itself
+            tileMatrixLabels: null,
+            
+            // Dimension values, e.g. {Time: '2023-07-01'}
+            dimensions: null
+        }),
+        
+        /**
+         * Initialize clipped WMTS layer
+         * 
+         * @param {String} url - GetTile endpoint (KVP), or RESTful template with
+         *     {TileMatrixSet}, {TileMatrix}, {TileRow}, {TileCol}, {Layer}, {Style}
+         *     and dimension placeholders
+         * @param {Object} options - WMTS and clipping options
+         * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Boundary to clip to
+         */
+        initialize: function(url, options, boundary) {
+            L.TileLayer.prototype.initialize.call(this, url, options);
+            
+            this._initClip(boundary);
+        },
+        
+        /**
+         * GetTile URL at the zoom level of the tile, see urlZoom
+         */
+        getTileUrl: function(coords) {
+            var options = this.options;
+            var tileMatrix = this._getTileMatrix(urlZoom(this, coords.z));
+            
+            var url = L.Util.template(this._url, L.extend({
+                s: this._getSubdomain(coords),
+                Layer: options.layer,
+                Style: options.style,
+                TileMatrixSet: options.tileMatrixSet,
+                TileMatrix: tileMatrix,
+                TileRow: coords.y,
+                TileCol: coords.x
+            }, options.dimensions));
+            
+            var rest = options.requestEncoding ?
+                options.requestEncoding.toUpperCase() === 'REST' :
+                this._url.indexOf('{TileMatrix}') !== -1;
+            if (rest) {
+                return url;
+            }
+            
+            var params = L.extend({
+                service: 'WMTS',
+                request: 'GetTile',
+                version: '1.0.0',
+                layer: options.layer,
+                style: options.style,
+                format: options.format,
+                tilematrixset: options.tileMatrixSet,
+                tilematrix: tileMatrix,
+                tilerow: coords.y,
+                tilecol: coords.x
+            }, options.dimensions);
+            
+            return url + L.Util.getParamString(params, url);
+        },
+        
+        /**
+         * Identifier of the tile matrix of a zoom level
+         */
+        _getTileMatrix: function(zoom) {
+            var labels = this.options.tileMatrixLabels;
+            
+            if (typeof labels === 'function') {
+                return labels(zoom);
+            }
+            return labels ? labels[zoom] : zoom;
+        }
+    });
+
+    // ============================================================================
+    // CLIPPED IMAGE OVERLAY (Single-Tile Mode)
+    // ============================================================================
+
+    // Create namespace if it doesn't exist
+    if (!L.ImageOverlay.WMS) {
+        L.ImageOverlay.WMS = {};
+    }
+
+    /**
+     * Single-image (untiled) WMS overlay with boundary clipping
+     * Requests one image for the viewport (plus a buffer) and clips it
+     */
+    L.ImageOverlay.WMS.Clipped = L.ImageOverlay.extend({
+        
+        // Default WMS GetMap parameters, same as L.TileLayer.WMS
+        defaultWmsParams: {
+            service: 'WMS',
+            request: 'GetMap',
+            layers: '',
+            styles: '',
+            format: 'image/png',
+            transparent: true,
+            version: '1.1.1'
+        },
+        
+        // Clipping options as for the tile layers, never sent to the WMS server
+        // (useWorker and cacheMaxBytes only apply to tiles)
+        options: L.extend({}, clipOptions, {
+            // CRS of the WMS request, defaults to the map's CRS
+            crs: null,
+            
+            // Send WMS parameter names in uppercase
+            uppercase: false,
+            
+            // Size of the requested image relative to the viewport
+            // (1 = viewport only, 1.5 = 25% buffer on every side)
+            ratio: 1.5,
+            
+            // GetFeatureInfo, see L.TileLayer.WMS.Clipped
+            featureInfo: false,
+            infoFormat: 'text/html',
+            featureCount: 1,
+            queryLayers: null,
+            rawFeatureInfo: false,
+            
+            // Server-side clipping, see L.TileLayer.WMS.Clipped
+            serverClip: false,
+            serverClipAttribute: 'the_geom',
+            
+            // Extent warning, see L.TileLayer.WMS.Clipped
+            checkExtent: false
+        }),
+        
+        /**
+         * Initialize clipped WMS image overlay
+         * 
+         * @param {String} baseUrl - WMS server URL
+         * @param {Object} options - WMS parameters and overlay options
+         * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Boundary to clip to
+         */
+        initialize: function(baseUrl, options, boundary) {
+            this._baseUrl = baseUrl;
+            
+            // Any option that isn't an overlay option is sent as a WMS parameter
+            var wmsParams = L.extend({}, this.defaultWmsParams);
+            for (var i in options) {
+                if (!(i in this.options)) {
+                    wmsParams[i] = options[i];
+                }
+            }
+            this.wmsParams = wmsParams;
+            
+            // Remote boundaries are empty until loaded, see setBoundary
+            this._boundary = isRemoteBoundary(boundary) ? [] : normalizeBoundary(boundary);
+            this._clipMode = options.clipMode || 'canvas';
+            this._invertClip = options.invertClip || false;
+            this._fillRule = options.fillRule || 'evenodd';
+            this._antimeridian = options.antimeridian || 'auto';
+            this._regions = {};
+            
+            // Canvas the clipped image is drawn into, used as the overlay element
+            this._canvas = document.createElement('canvas');
+            this._ctx = this._canvas.getContext('2d');
+            
+            // Bounds are set once the first image is loaded
+            L.ImageOverlay.prototype.initialize.call(this, L.Util.emptyImageUrl, L.latLngBounds([[0,0],[0,0]]), options);
+            
+            this._requestQueue = new RequestQueue(this.options.maxConcurrentRequests);
+            this._fallbackImage = fallbackImage(this.options.fallbackTile);
+            if (isRemoteBoundary(boundary)) {
+                this._loadBoundary(boundary);
+            } else {
+                followBoundary(this, boundary);
+            }
+            this.on('add', this._loadExtent, this);
+            this.on('boundarychange', this._checkExtent, this);
+        },
+        
+        /**
+         * Called when added to map
+         */
+        onAdd: function(map) {
+            this._crs = this.options.crs || map.options.crs;
+            this._wmsVersion = parseFloat(this.wmsParams.version);
+            
+            var projectionKey = this._wmsVersion >= 1.3 ? 'crs' : 'srs';
+            this.wmsParams[projectionKey] = this._crs.code;
+            this._index = null;
+            
+            L.ImageOverlay.prototype.onAdd.call(this, map);
+            
+            if (this._clipMode === 'css') {
+                this._initClipPath();
+            }
+            this._resumeLive();
+            this._update();
+        },
+        
+        /**
+         * Called when removed from map
+         */
+        onRemove: function(map) {
+            this._stopLive();
+            if (this._pendingRequest) {
+                this._abortRequest();
+                this.fire('clipend');
+            }
+            
+            if (this._clipMode === 'css') {
+                this._removeClipPath();
+            }
+            L.ImageOverlay.prototype.onRemove.call(this, map);
+        },
+        
+        getEvents: function() {
+            var events = L.ImageOverlay.prototype.getEvents.call(this);
+            
+            // 'moveend' also follows every zoom
+            events.moveend = this._update;
+            events.resize = this._update;
+            
+            if (this.options.featureInfo) {
+                events.click = this._onFeatureInfoClick;
+            }
+            return events;
+        },
+        
+        /**
+         * Merge new WMS parameters and request a new image
+         */
+        setParams: function(params, noRedraw) {
+            L.extend(this.wmsParams, params);
+            
+            if (!noRedraw) {
+                this._update();
+            }
+            return this;
+        },
+        
+        /**
+         * Set the WMS TIME dimension
+         * The current image stays on screen until the new one is loaded
+         */
+        setTime: function(value, noRedraw) {
+            return this.setDimension('time', value, noRedraw);
+        },
+        
+        /**
+         * Set a WMS dimension: 'time', 'elevation' or a custom one (sent as DIM_<name>)
+         */
+        setDimension: function(name, value, noRedraw) {
+            var params = {};
+            params[dimensionParam(this.wmsParams, name)] = value;
+            
+            return this.setParams(params, noRedraw);
+        },
+        
+        /**
+         * Use the clipping canvas as the overlay element
+         */
+        _initImage: function() {
+            // CSS mode shows the stock <img>, clipped with an SVG clip path
+            if (this._clipMode === 'css') {
+                L.ImageOverlay.prototype._initImage.call(this);
+                return;
+            }
+            
+            var canvas = this._image = this._canvas;
+            
+            L.DomUtil.addClass(canvas, 'leaflet-image-layer');
+            if (this._zoomAnimated) { L.DomUtil.addClass(canvas, 'leaflet-zoom-animated'); }
+            if (this.options.className) { L.DomUtil.addClass(canvas, this.options.className); }
+            
+            canvas.onselectstart = L.Util.falseFn;
+            canvas.onmousemove = L.Util.falseFn;
+            
+            if (this.options.zIndex) { this._updateZIndex(); }
+        },
+        
+        /**
+         * Get the GetMap URL and extent for the current view
+         */
+        _getRequest: function() {
+            var map = this._map;
+            var zoom = map.getZoom();
+            var size = map.getSize().multiplyBy(this.options.ratio).round();
+            var center = map.project(map.getCenter(), zoom);
+            var topLeft = center.subtract(size.divideBy(2));
+            
+            // Only request the part of the view the boundary and regions can show
+            var shown = this._shownPixelBounds(zoom);
+            if (shown) {
+                var min = L.point(Math.max(topLeft.x, shown.min.x), Math.max(topLeft.y, shown.min.y)).floor();
+                var max = L.point(Math.min(topLeft.x + size.x, shown.max.x), Math.min(topLeft.y + size.y, shown.max.y)).ceil();
+                
+                if (max.x > min.x && max.y > min.y) {
+                    topLeft = min;
+                    size = max.subtract(min);
+                }
+            }
+            
+            var nw = map.unproject(topLeft, zoom);
+            var se = map.unproject(topLeft.add(size), zoom);
+            
+            return this._buildRequest(nw, se, size);
+        },
+        
+        /**
+         * Pixel bounds of the area the layer can show at a zoom level, padded
+         * by the pixels the stroke and feather reach past the boundary,
+         * or null when the outside of the boundary shows too
+         */
+        _shownPixelBounds: function(zoom) {
+            if (this._invertClip || this.options.outsideStyle) {
+                return null;
+            }
+            
+            var map = this._map;
+            var crs = this._crs;
+            var mode = this._antimeridian;
+            var lng = map.getCenter().lng;
+            var bounds = L.bounds([]);
+            [this._boundary].concat(sortedRegions(this._regions).map(function(region) {
+                return region.boundary;
+            })).forEach(function(polygons) {
+                if (polygons.length) {
+                    var latLngBounds = boundaryBoundsNear(polygons, crs, lng, mode);
+                    bounds.extend(map.project(latLngBounds.getNorthWest(), zoom));
+                    bounds.extend(map.project(latLngBounds.getSouthEast(), zoom));
+                }
+            });
+            
+            // Nothing shows, the view is skipped (see _update)
+            if (!bounds.isValid()) {
+                return null;
+            }
+            
+            var margin = L.point(1, 1).multiplyBy(this._clipMargin() + 1);
+            return L.bounds(bounds.min.subtract(margin), bounds.max.add(margin));
+        },
+        
+        /**
+         * Pixels the stroke and feather reach past the boundary
+         */
+        _clipMargin: L.ClipMixin._clipMargin,
+        
+        /**
+         * Get the GetMap URL for an image of the nw/se corners
+         */
+        _buildRequest: function(nw, se, size) {
+            // Projected BBOX in the request CRS
+            var bbox = wmsBbox(nw, se, this._crs, this._wmsVersion);
+            
+            var clipParams = serverClipParams(this, this._map.getZoom());
+            var params = L.extend({}, this.wmsParams, clipParams, { width: size.x, height: size.y });
+            var uppercase = this.options.uppercase;
+            var url = this._baseUrl +
+                L.Util.getParamString(params, this._baseUrl, uppercase) +
+                (uppercase ? '&BBOX=' : '&bbox=') + bbox;
+            
+            return {
+                url: url,
+                bbox: bbox,
+                nw: nw,
+                se: se,
+                size: size,
+                bounds: L.latLngBounds(nw, se),
+                serverClip: !!clipParams
+            };
+        },
+        
+        /**
+         * Update clipped image
+         */
+        _update: function() {
+            // Nothing is requested before a remote boundary has loaded
+            if (!this._map || this._boundaryLoading) return;
+            
+            // A newer view supersedes any request still in flight
+            var pending = !!this._pendingRequest;
+            this._abortRequest();
+            
+            var request = this._getRequest();
+            
+            // Nothing to show when the view misses the boundary (or it is empty) and the regions entirely
+            if (!this._invertClip && !this.options.outsideStyle && !this._viewShowsRegion(request.bounds) && (!this._boundary.length ||
+                !request.bounds.intersects(boundaryBoundsNear(this._boundary, this._crs, request.bounds.getCenter().lng, this._antimeridian)))) {
+                this._clearImage(request);
+                this.fire('tileskipped', { bounds: request.bounds });
+                if (pending) { this.fire('clipend'); }
+                return;
+            }
+            
+            if (!pending) { this.fire('clipstart'); }
+            
+            // Only canvas clipping reads the pixels, which requires CORS
+            var crossOrigin = this._clipMode === 'css' ? undefined :
+                typeof this.options.crossOrigin === 'string' ? this.options.crossOrigin : 'anonymous';
+            
+            // Load image and apply clipping
+            var done = L.Util.bind(function(err, img) {
+                this._pendingRequest = null;
+                
+                if (err) {
+                    this._showFallback(request);
+                    this._fireClipError(err);
+                } else {
+                    // Keep the source image to re-clip without refetching
+                    this._failedRequest = null;
+                    this._sourceImage = img;
+                    this._sourceRequest = request;
+                    this._showImage();
+                }
+                this.fire('clipend');
+            }, this);
+            
+            var current = this._pendingRequest = this._request(request.url, function(callback) {
+                return requestImage(request.url, crossOrigin, callback);
+            }, L.Util.bind(function(err, img) {
+                if (!err || !request.serverClip) {
+                    done(err, img);
+                    return;
+                }
+                
+                // Refused server-side clip: request again, clipping on the client only
+                serverClipRefused(err, L.Util.bind(function(refused) {
+                    if (this._pendingRequest !== current) return;
+                    
+                    if (refused) {
+                        rejectServerClip(this, err);
+                        this._update();
+                    } else {
+                        done(err);
+                    }
+                }, this));
+            }, this));
+        },
+        
+        /**
+         * Run a request with the retry, timeout and maxConcurrentRequests options
+         */
+        _request: L.ClipMixin._request,
+        
+        /**
+         * Cancel the image request in flight, if any
+         */
+        _abortRequest: function() {
+            var cancel = this._pendingRequest;
+            
+            if (cancel) {
+                this._pendingRequest = null;
+                cancel();
+            }
+        },
+        
+        /**
+         * Show the fallback, clipped, where the image failed to load
+         * The failed view is requested again by the next update
+         */
+        _showFallback: function(request) {
+            if (this._clipMode === 'css') return;
+            
+            this._failedRequest = request;
+            this._fallbackImage.then(L.Util.bind(function(image) {
+                var fallback = fallbackCanvas(this.options.fallbackTile, image, request.size);
+                
+                // Unless a newer view is loading or loaded meanwhile
+                if (fallback && this._map && this._failedRequest === request && !this._pendingRequest) {
+                    this._sourceImage = null;
+                    this._sourceRequest = null;
+                    this._applyClipToImage(fallback, request);
+                }
+            }, this));
+        },
+        
+        /**
+         * Fire 'cliperror' for a failed image
+         */
+        _fireClipError: function(error) {
+            this.fire('cliperror', { url: error.url, cause: error.cause, error: error });
+        },
+        
+        /**
+         * Show nothing for the given view
+         */
+        _clearImage: function(request) {
+            this._sourceImage = null;
+            this._sourceRequest = null;
+            
+            if (this._clipMode === 'css') {
+                this.setUrl(L.Util.emptyImageUrl);
+            } else {
+                this._ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+            }
+            this.setBounds(request.bounds);
+        },
+        
+        /**
+         * Re-clip the current image, or request one if the view was skipped
+         * or the image lacks pixels the boundary, regions or styles now show
+         */
+        _redraw: function() {
+            if (!this._map) return;
+            
+            if (this._sourceImage && this._sourceCovers(this._getRequest())) {
+                this._showImage();
+            } else if (this._sourceImage || !this._pendingRequest) {
+                this._update();
+            }
+        },
+        
+        /**
+         * Whether the source image has every pixel of a request
+         * A server-clipped image only has the pixels of the boundary it was clipped to
+         */
+        _sourceCovers: function(request) {
+            var source = this._sourceRequest;
+            
+            if (source.serverClip) {
+                return request.url === source.url;
+            }
+            return source.bounds.contains(request.bounds);
+        },
+        
+        /**
+         * Show the loaded source image, clipped
+         * The previous image stays on screen until this swaps in the new one
+         */
+        _showImage: function() {
+            var request = this._sourceRequest;
+            
+            if (this._clipMode === 'css') {
+                // Already loaded, so the swap is immediate
+                this.setUrl(request.url);
+                this.setBounds(request.bounds);
+                this._updateClipPath();
+            } else {
+                try {
+                    this._applyClipToImage(this._sourceImage, request);
+                } catch (e) {
+                    this._fireClipError(readbackError(e, request.url));
+                    return;
+                }
+            }
+            this.fire('tileclipped', { bounds: request.bounds, url: request.url });
+        },
+        
+        /**
+         * Apply clipping to image
+         */
+        _applyClipToImage: function(img, request) {
+            var size = request.size;
+            
+            // Set canvas size
+            this._canvas.width = size.x;
+            this._canvas.height = size.y;
+            
+            var ctx = this._ctx;
+            
+            // Project boundary rings to image pixel coordinates
+            var project = imageProjector(request.nw, request.se, size, this._crs);
+            var boundaryPixels = projectBoundary(this._boundary, project, this._crs, this._antimeridian);
+            
+            // Draw image (only clipped portion visible)
+            drawClipped(ctx, img, size, boundaryPixels, this._getClipOptions());
+            
+            // Named regions are composited over the boundary clip
+            sortedRegions(this._regions).forEach(function(region) {
+                drawRegion(ctx, img, size, projectBoundary(region.boundary, project, this._crs, this._antimeridian), region, this._fillRule);
+            }, this);
+            
+            // Move the overlay to the extent of the new image
+            this.setBounds(request.bounds);
+        },
+        
+        /**
+         * Update boundary
+         */
+        setBoundary: function(boundary) {
+            if (isRemoteBoundary(boundary)) {
+                this._loadBoundary(boundary);
+                return this;
+            }
+            
+            this._boundary = normalizeBoundary(boundary, boundary === this._liveSource);
+            this._boundaryLoading = null;
+            this._index = null;
+            followBoundary(this, boundary);
+            this.fire('boundarychange', { boundary: this._boundary });
+            
+            // Re-clip the current image, or request the pixels it lacks
+            this._redraw();
+            return this;
+        },
+        
+        /**
+         * Load a remote boundary, see L.ClipMixin
+         */
+        _loadBoundary: L.ClipMixin._loadBoundary,
+        
+        /**
+         * Request the image held while the remote boundary was loading
+         */
+        _resumeClip: function() {
+            this._redraw();
+        },
+        
+        /**
+         * Re-clip to the edited boundary layer, at most once per animation frame
+         */
+        _onBoundaryEdit: L.ClipMixin._onBoundaryEdit,
+        _stopLive: L.ClipMixin._stopLive,
+        _resumeLive: L.ClipMixin._resumeLive,
+        
+        /**
+         * Get boundary
+         */
+        getBoundary: function() {
+            return this._boundary;
+        },
+        
+        /**
+         * Named clip regions, see L.ClipMixin
+         */
+        addRegion: L.ClipMixin.addRegion,
+        removeRegion: L.ClipMixin.removeRegion,
+        getRegions: L.ClipMixin.getRegions,
+        
+        /**
+         * Re-clip the current image after the regions changed
+         */
+        _redrawRegions: function() {
+            if (this._clipMode !== 'css') {
+                this._redraw();
+            }
+        },
+        
+        /**
+         * Whether any region overlaps the requested bounds
+         */
+        _viewShowsRegion: function(bounds) {
+            var crs = this._crs;
+            var mode = this._antimeridian;
+            var lng = bounds.getCenter().lng;
+            
+            return sortedRegions(this._regions).some(function(region) {
+                return bounds.intersects(boundaryBoundsNear(region.boundary, crs, lng, mode));
+            });
+        },
+        
+        /**
+         * Check if a point is inside the boundary, in the request CRS
+         */
+        _pointInBoundary: function(latlng) {
+            var crs = this._crs;
+            
+            if (!this._index) {
+                var rings = boundaryRings(worldPolygons(this._boundary, crs, this._antimeridian)).map(function(ring) {
+                    return ring.map(function(ll) {
+                        return crs.project(L.latLng(ll[0], ll[1]));
+                    });
+                });
+                this._index = new BoundaryIndex(rings, this._fillRule);
+            }
+            return this._index.contains(crs.project(crs.wrapLatLng(L.latLng(latlng))));
+        },
+        
+        /**
+         * Query the WMS layer at a point with GetFeatureInfo
+         * Resolves with {url, contentType, content}, or null where the mask
+         * hides the layer, in which case no request is sent
+         * 
+         * @param {L.LatLng} latlng - Point to query
+         * @param {Object} options - Overrides {infoFormat, featureCount, queryLayers}
+         */
+        getFeatureInfo: function(latlng, options) {
+            if (!this._map) {
+                return Promise.reject(new Error('Layer is not on a map'));
+            }
+            
+            latlng = L.latLng(latlng);
+            if (this._pointInBoundary(latlng) === this._invertClip) {
+                return Promise.resolve(null);
+            }
+            
+            // Query the image on screen, or the current view before it loads
+            var request = this._sourceRequest;
+            if (!request || !request.bounds.contains(latlng)) {
+                request = this._getRequest();
+            }
+            var project = imageProjector(request.nw, request.se, request.size, this._crs);
             
-            // Store canvas
-            this._tileCanvases[key] = canvas;
+            var url = featureInfoUrl(this._baseUrl, this.wmsParams, {
+                bbox: request.bbox,
+                size: request.size,
+                point: L.point(project(latlng))
+            }, L.extend({
+                infoFormat: this.options.infoFormat,
+                featureCount: this.options.featureCount,
+                queryLayers: this.options.queryLayers,
+                uppercase: this.options.uppercase
+            }, options));
             
-            return canvas;
+            return fetchFeatureInfo(url);
+        },
+        
+        _onFeatureInfoClick: function(e) {
+            openFeatureInfoPopup(this, e.latlng);
         },
         
         /**
-         * Apply clipping to tile
+         * WMS capabilities and extent warnings, see L.TileLayer.WMS.Clipped
          */
-        _applyClip: function(canvas, ctx, tileImg, coords, done) {
-            var tileSize = this.getTileSize();
-            var zoom = coords.z;
-            
-            // Project boundary coordinates to tile pixel space
-            var boundaryPixels = this._boundary.map(function(latlng) {
-                var ll = L.latLng(latlng[0], latlng[1]);
-                return projectToTilePixels(ll, coords, tileSize, this._map);
-            }, this);
-            
-            // Check if tile intersects with boundary
-            var tileBounds = this._tileCoordsToBounds(coords);
-            var tileCenter = tileBounds.getCenter();
-            var centerPixel = projectToTilePixels(tileCenter, coords, tileSize, this._map);
-            
-            // Quick check: is tile center inside boundary?
-            var isInside = pointInPolygon(centerPixel, boundaryPixels);
+        getCapabilities: L.TileLayer.WMS.Clipped.prototype.getCapabilities,
+        getLayerInfo: L.TileLayer.WMS.Clipped.prototype.getLayerInfo,
+        _loadExtent: L.TileLayer.WMS.Clipped.prototype._loadExtent,
+        _checkExtent: L.TileLayer.WMS.Clipped.prototype._checkExtent,
+        
+        /**
+         * Export the clipped raster of an extent with a dedicated GetMap request
+         * Reading the pixels back requires CORS, whatever the clip mode.
+         * 
+         * @param {Object} options - {bounds, width, height, format}, where format
+         *     is an image MIME type (default 'image/png') or 'canvas'
+         * @returns {Promise} {image, bounds, width, height, crs, worldFile}
+         */
+        toImage: function(options) {
+            options = options || {};
             
-            // If tile is completely outside boundary (and not inverted), skip
-            if (!this._invertClip && !this._tileIntersectsBoundary(coords)) {
-                // Return transparent tile
-                done(null, canvas);
-                return;
+            if (!this._map) {
+                return Promise.reject(new Error('Layer is not on a map'));
             }
-            
-            // Save context state
-            ctx.save();
-            
-            // Create clipping path from boundary
-            ctx.beginPath();
-            var first = true;
-            boundaryPixels.forEach(function(point) {
-                if (first) {
-                    ctx.moveTo(point.x, point.y);
-                    first = false;
-                } else {
-                    ctx.lineTo(point.x, point.y);
-                }
-            });
-            ctx.closePath();
-            
-            // Apply clipping
-            if (this._invertClip) {
-                // Inverted: clip inside boundary (show outside)
-                ctx.clip();
-                // Fill with transparent
-                ctx.fillStyle = 'rgba(0, 0, 0, 0)';
-                ctx.fill();
-            } else {
-                // Normal: clip outside boundary (show inside)
-                ctx.clip();
+            if (this._boundaryLoading) {
+                return this._boundaryLoading.then(L.Util.bind(this.toImage, this, options));
             }
             
-            // Draw the tile image (only the clipped portion will be visible)
-            ctx.drawImage(tileImg, 0, 0, tileSize.x, tileSize.y);
-            
-            // Restore context
-            ctx.restore();
+            var extent = exportExtent(this._map, options);
+            var request = this._buildRequest(extent.nw, extent.se, extent.size);
+            var crossOrigin = typeof this.options.crossOrigin === 'string' ? this.options.crossOrigin : 'anonymous';
+            var self = this;
             
-            // Call done callback
-            done(null, canvas);
+            return loadImage(request.url, crossOrigin, this).then(function(img) {
+                var canvas = document.createElement('canvas');
+                canvas.width = extent.size.x;
+                canvas.height = extent.size.y;
+                
+                var ctx = canvas.getContext('2d');
+                var project = imageProjector(extent.nw, extent.se, extent.size, self._crs);
+                drawClipped(ctx, img, extent.size,
+                    projectBoundary(self._boundary, project, self._crs, self._antimeridian), self._getClipOptions());
+                
+                sortedRegions(self._regions).forEach(function(region) {
+                    drawRegion(ctx, img, extent.size,
+                        projectBoundary(region.boundary, project, self._crs, self._antimeridian), region, self._fillRule);
+                });
+                
+                return exportImage(canvas, extent, self._crs, options.format);
+            });
         },
         
         /**
-         * Check if tile intersects with boundary
+         * Pixel statistics of the WMS raster inside the boundary
+         * Reads back the image on screen when it covers the bounds at the
+         * zoom level, otherwise loads the bounds at that zoom with CORS
+         * 
+         * @param {Object} options - {bounds, zoom, legend, tolerance}; bounds
+         *     defaults to the boundary's (the map view when inverted), zoom to
+         *     the map's
+         * @returns {Promise} {zoom, bounds, pixels, area, classes}, areas in m²
          */
-        _tileIntersectsBoundary: function(coords) {
-            var tileBounds = this._tileCoordsToBounds(coords);
-            var tileCorners = [
-                tileBounds.getSouthWest(),
-                tileBounds.getNorthEast(),
-                tileBounds.getSouthEast(),
-                tileBounds.getNorthWest()
-            ];
+        getClippedStats: function(options) {
+            options = options || {};
             
-            // Check if any tile corner is inside boundary
-            for (var i = 0; i < tileCorners.length; i++) {
-                if (this._pointInBoundary(tileCorners[i])) {
-                    return true;
-                }
+            var map = this._map;
+            if (!map) {
+                return Promise.reject(new Error('Layer is not on a map'));
+            }
+            if (this._boundaryLoading) {
+                return this._boundaryLoading.then(L.Util.bind(this.getClippedStats, this, options));
             }
             
-            // Check if any boundary point is inside tile
-            for (var j = 0; j < this._boundary.length; j++) {
-                var ll = L.latLng(this._boundary[j][0], this._boundary[j][1]);
-                if (tileBounds.contains(ll)) {
-                    return true;
-                }
+            var zoom = options.zoom !== undefined ? options.zoom : Math.round(map.getZoom());
+            var bounds = L.latLngBounds(options.bounds ||
+                (this._invertClip ? map.getBounds() : boundaryBoundsNear(this._boundary, this._crs, map.getCenter().lng, this._antimeridian)));
+            var request = this._sourceRequest;
+            var loading;
+            
+            if (this._sourceImage && this._clipMode !== 'css' && zoom === map.getZoom() && request.bounds.contains(bounds)) {
+                loading = Promise.resolve(this._sourceImage);
+            } else {
+                var nw = bounds.getNorthWest();
+                var se = bounds.getSouthEast();
+                var size = map.project(se, zoom).subtract(map.project(nw, zoom)).round();
+                request = this._buildRequest(nw, se, L.point(Math.max(size.x, 1), Math.max(size.y, 1)));
+                loading = loadImage(request.url, typeof this.options.crossOrigin === 'string' ? this.options.crossOrigin : 'anonymous', this);
             }
             
-            // TODO: More sophisticated intersection test (line-segment intersection)
-            // For now, use simpler heuristic: check if tile bounds overlap with boundary bounds
-            var boundaryBounds = this._getBoundaryBounds();
-            return tileBounds.intersects(boundaryBounds);
+            var self = this;
+            return loading.then(function(img) {
+                var size = request.size;
+                var project = imageProjector(request.nw, request.se, size, self._crs);
+                var nw = project(bounds.getNorthWest());
+                var se = project(bounds.getSouthEast());
+                var range = pixelRange(L.point(nw.x, nw.y).round(), L.point(se.x, se.y).round(), size);
+                
+                var pixels, mask;
+                try {
+                    var source = scratchCanvas(2, size);
+                    var sourceCtx = source.getContext('2d');
+                    sourceCtx.drawImage(img, 0, 0, size.x, size.y);
+                    pixels = sourceCtx.getImageData(0, 0, size.x, size.y).data;
+                    
+                    var maskCanvas = clipMask(size, projectBoundary(self._boundary, project, self._crs, self._antimeridian), {
+                        invert: self._invertClip,
+                        fillRule: self._fillRule
+                    });
+                    mask = maskCanvas.getContext('2d').getImageData(0, 0, size.x, size.y).data;
+                } catch (e) {
+                    throw readbackError(e, request.url);
+                }
+                
+                var stats = new RasterStats(options.legend, options.tolerance);
+                stats.add(pixels, mask, size.x, pixelAreas(request.nw, request.se, size, self._crs), range);
+                
+                return L.extend({ zoom: zoom, bounds: bounds }, stats.getResult());
+            });
         },
         
         /**
-         * Check if a point is inside the boundary
+         * Switch between showing the inside (false) or the outside (true)
+         * of the boundary, see _redraw
          */
-        _pointInBoundary: function(latlng) {
-            var point = { x: latlng.lng, y: latlng.lat };
-            var polygon = this._boundary.map(function(ll) {
-                return { x: ll[1], y: ll[0] }; // [lat, lng] -> {x: lng, y: lat}
-            });
-            
-            return pointInPolygon(point, polygon);
+        setInvert: function(invert) {
+            invert = !!invert;
+            if (invert !== this._invertClip) {
+                this._invertClip = invert;
+                this._redraw();
+            }
+            return this;
         },
         
         /**
-         * Get boundary bounds
+         * Update the clip styles (stroke, feather, outsideStyle), see _redraw
          */
-        _getBoundaryBounds: function() {
-            var minLat = Infinity, maxLat = -Infinity;
-            var minLng = Infinity, maxLng = -Infinity;
-            
-            this._boundary.forEach(function(ll) {
-                minLat = Math.min(minLat, ll[0]);
-                maxLat = Math.max(maxLat, ll[0]);
-                minLng = Math.min(minLng, ll[1]);
-                maxLng = Math.max(maxLng, ll[1]);
-            });
+        setClipStyle: function(style) {
+            L.setOptions(this, style);
             
-            return L.latLngBounds([minLat, minLng], [maxLat, maxLng]);
+            this._redraw();
+            return this;
         },
         
         /**
-         * Convert tile coordinates to bounds
+         * Options for drawClipped
          */
-        _tileCoordsToBounds: function(coords) {
-            var n = Math.pow(2, coords.z);
-            var lonMin = (coords.x / n) * 360 - 180;
-            var lonMax = ((coords.x + 1) / n) * 360 - 180;
-            var latMin = Math.atan(Math.sinh(Math.PI * (1 - 2 * (coords.y + 1) / n))) * 180 / Math.PI;
-            var latMax = Math.atan(Math.sinh(Math.PI * (1 - 2 * coords.y / n))) * 180 / Math.PI;
-            
-            return L.latLngBounds([latMin, lonMin], [latMax, lonMax]);
+        _getClipOptions: function() {
+            return {
+                invert: this._invertClip,
+                fillRule: this._fillRule,
+                stroke: this.options.stroke,
+                feather: this.options.feather,
+                outsideStyle: this.options.outsideStyle
+            };
         },
         
         /**
-         * Update boundary (useful for dynamic clipping)
+         * Switch between 'canvas' and 'css' clipping
+         * The overlay element changes, so the layer is re-added to its map
          */
-        setBoundary: function(boundary) {
-            this._boundary = normalizeBoundary(boundary);
-            // Redraw all tiles
-            this.redraw();
+        setClipMode: function(clipMode) {
+            if (clipMode === this._clipMode) {
+                return this;
+            }
+            
+            var map = this._map;
+            if (map) {
+                map.removeLayer(this);
+            }
+            
+            this._clipMode = clipMode;
+            this._image = null;
+            this._sourceImage = this._sourceRequest = null;
+            
+            if (map) {
+                map.addLayer(this);
+            }
             return this;
         },
         
         /**
-         * Get current boundary
+         * Clip the overlay image with an SVG clip path (CSS mode)
          */
-        getBoundary: function() {
-            return this._boundary;
+        _initClipPath: function() {
+            this._clip = createClipPath('objectBoundingBox');
+            this.getPane().appendChild(this._clip.svg);
+            this._image.style.clipPath = this._clip.url;
+        },
+        
+        _removeClipPath: function() {
+            L.DomUtil.remove(this._clip.svg);
+            this._clip = null;
         },
         
         /**
-         * Clean up on remove
+         * Project the CSS clip path to fractions of the current image,
+         * which keeps it aligned while the image is scaled by zoom animations
          */
-        onRemove: function(map) {
-            // Clear tile canvas cache
-            this._tileCanvases = {};
-            L.TileLayer.WMS.prototype.onRemove.call(this, map);
+        _updateClipPath: function() {
+            var request = this._sourceRequest;
+            if (!this._clip || !request) return;
+            
+            var size = request.size;
+            var project = imageProjector(request.nw, request.se, size, this._crs);
+            var rings = boundaryRings(worldPolygons(this._boundary, this._crs, this._antimeridian)).map(function(ring) {
+                return ring.map(function(latlng) {
+                    var point = project(L.latLng(latlng[0], latlng[1]));
+                    return { x: point.x / size.x, y: point.y / size.y };
+                });
+            });
+            
+            updateClipPath(this._clip, rings, L.bounds([0, 0], [1, 1]), this._invertClip, this._fillRule);
         }
     });
 
     // ============================================================================
-    // CLIPPED IMAGE OVERLAY (Single-Tile Mode)
+    // CLIP DRAW CONTROL
     // ============================================================================
 
-    // Create namespace if it doesn't exist
-    if (!L.ImageOverlay.WMS) {
-        L.ImageOverlay.WMS = {};
-    }
-
     /**
-     * Single-tile WMS overlay with boundary clipping
-     * Uses ImageOverlay for better performance on small viewports
+     * Toolbar to draw the boundary of a clipped layer on the map
+     * A rectangle is drawn by dragging, a polygon by clicking its vertices
+     * (finish with a double click or on the first vertex, cancel with Escape).
+     * Clearing restores the boundary the layer had before the first drawn shape.
      */
-    L.ImageOverlay.WMS.Clipped = L.ImageOverlay.extend({
+    L.Control.ClipDraw = L.Control.extend({
         
-        /**
-         * Initialize clipped WMS image overlay
-         */
-        initialize: function(baseUrl, options, boundary) {
-            this._baseUrl = baseUrl;
-            this._wmsParams = L.extend({
-                layers: '',
-                format: 'image/png',
-                transparent: true,
-                version: '1.1.1'
-            }, options);
-            
-            // Normalize and store boundary
-            this._boundary = normalizeBoundary(boundary);
-            this._clipMode = options.clipMode || 'canvas';
-            this._invertClip = options.invertClip || false;
+        options: {
+            position: 'topleft',
             
-            // Create canvas overlay
-            this._canvas = document.createElement('canvas');
-            this._ctx = this._canvas.getContext('2d');
+            // Shapes offered, 'rectangle' and/or 'polygon'
+            shapes: ['rectangle', 'polygon'],
             
-            // Create dummy image overlay (will be masked)
-            L.ImageOverlay.prototype.initialize.call(this, '', L.latLngBounds([[0,0],[0,0]]), options);
+            // Style of the shape while it is drawn
+            shapeOptions: { color: '#3388ff', weight: 2, fill: false, dashArray: '4, 4' }
+        },
+        
+        // Button glyphs and titles
+        _buttons: {
+            rectangle: ['&#9645;', 'Draw a rectangle to crop the layer'],
+            polygon: ['&#11040;', 'Draw a polygon to crop the layer'],
+            clear: ['&#10005;', 'Restore the original boundary']
         },
         
         /**
-         * Called when added to map
+         * @param {L.Layer} layer - Clipped layer whose boundary is drawn
+         * @param {Object} options - Control options
          */
+        initialize: function(layer, options) {
+            L.setOptions(this, options);
+            this._layer = layer;
+            
+            // Saved by the first drawn shape, see _finish
+            this._initialBoundary = null;
+        },
+        
         onAdd: function(map) {
-            this._map = map;
-            this._update();
+            var container = L.DomUtil.create('div', 'leaflet-bar leaflet-control-clip-draw');
             
-            map.on('moveend', this._update, this);
-            map.on('zoomend', this._update, this);
-            map.on('resize', this._update, this);
+            this.options.shapes.concat('clear').forEach(function(name) {
+                var button = L.DomUtil.create('a', 'leaflet-control-clip-draw-' + name, container);
+                button.href = '#';
+                button.innerHTML = this._buttons[name][0];
+                button.title = this._buttons[name][1];
+                button.setAttribute('role', 'button');
+                button.setAttribute('aria-label', this._buttons[name][1]);
+                
+                L.DomEvent.on(button, 'click', L.DomEvent.stop);
+                L.DomEvent.on(button, 'click', name === 'clear' ? this.clear : L.Util.bind(this.enable, this, name), this);
+            }, this);
             
-            L.ImageOverlay.prototype.onAdd.call(this, map);
+            L.DomEvent.disableClickPropagation(container);
+            return container;
+        },
+        
+        onRemove: function() {
+            this.disable();
         },
         
         /**
-         * Called when removed from map
+         * Start drawing a 'rectangle' or a 'polygon'
          */
-        onRemove: function(map) {
-            map.off('moveend', this._update, this);
-            map.off('zoomend', this._update, this);
-            map.off('resize', this._update, this);
+        enable: function(shape) {
+            var map = this._map;
+            this.disable();
             
-            L.ImageOverlay.prototype.onRemove.call(this, map);
+            this._shape = shape;
+            this._points = [];
+            this._preview = (shape === 'rectangle' ?
+                L.rectangle([[0, 0], [0, 0]], this.options.shapeOptions) :
+                L.polyline([], this.options.shapeOptions)).addTo(map);
+            
+            if (shape === 'rectangle') {
+                map.dragging.disable();
+                map.on('mousedown', this._onRectangleStart, this);
+            } else {
+                map.doubleClickZoom.disable();
+                map.on('click', this._onPolygonClick, this);
+                map.on('dblclick', this._finishPolygon, this);
+            }
+            map.on('mousemove', this._onMouseMove, this);
+            L.DomEvent.on(document, 'keydown', this._onKeyDown, this);
+            L.DomUtil.addClass(map.getContainer(), 'leaflet-crosshair');
+            return this;
         },
         
         /**
-         * Update clipped image
+         * Stop drawing, discarding the shape in progress
          */
-        _update: function() {
-            if (!this._map) return;
-            
-            var bounds = this._map.getBounds();
-            var size = this._map.getSize();
-            
-            // Build WMS request for entire viewport
-            var params = {
-                SERVICE: 'WMS',
-                VERSION: this._wmsParams.version,
-                REQUEST: 'GetMap',
-                LAYERS: this._wmsParams.layers,
-                STYLES: this._wmsParams.styles || '',
-                FORMAT: this._wmsParams.format,
-                TRANSPARENT: this._wmsParams.transparent ? 'true' : 'false',
-                WIDTH: size.x,
-                HEIGHT: size.y,
-                BBOX: bounds.getWest() + ',' + bounds.getSouth() + ',' + 
-                      bounds.getEast() + ',' + bounds.getNorth(),
-                SRS: 'EPSG:3857'
-            };
-            
-            var url = this._baseUrl + L.Util.getParamString(params);
-            
-            // Load image and apply clipping
-            var self = this;
-            var img = new Image();
-            img.crossOrigin = 'anonymous';
-            
-            img.onload = function() {
-                self._applyClipToImage(img, bounds, size);
-            };
+        disable: function() {
+            var map = this._map;
+            if (!this._shape) {
+                return this;
+            }
             
-            img.onerror = function() {
-                console.error('Failed to load WMS image:', url);
-            };
+            if (this._shape === 'rectangle') {
+                map.dragging.enable();
+                map.off('mousedown', this._onRectangleStart, this);
+                map.off('mouseup', this._onRectangleEnd, this);
+            } else {
+                map.doubleClickZoom.enable();
+                map.off('click', this._onPolygonClick, this);
+                map.off('dblclick', this._finishPolygon, this);
+            }
+            map.off('mousemove', this._onMouseMove, this);
+            L.DomEvent.off(document, 'keydown', this._onKeyDown, this);
+            L.DomUtil.removeClass(map.getContainer(), 'leaflet-crosshair');
             
-            img.src = url;
+            map.removeLayer(this._preview);
+            this._shape = this._preview = this._points = null;
+            return this;
         },
         
         /**
-         * Apply clipping to image
+         * Restore the layer's boundary from before the first drawn shape
          */
-        _applyClipToImage: function(img, bounds, size) {
-            // Set canvas size
-            this._canvas.width = size.x;
-            this._canvas.height = size.y;
-            
-            var ctx = this._ctx;
+        clear: function() {
+            var layer = this._layer;
+            var initial = this._initialBoundary;
+            this.disable();
             
-            // Project boundary to pixel coordinates
-            var boundaryPixels = this._boundary.map(function(latlng) {
-                var ll = L.latLng(latlng[0], latlng[1]);
-                var point = this._map.latLngToContainerPoint(ll);
-                return { x: point.x, y: point.y };
-            }, this);
+            if (initial && initial.then) {
+                // A remote boundary that was still loading, restored once loaded
+                // unless another shape is drawn meanwhile
+                var restoring = this._restoring = initial.then(L.Util.bind(function(polygons) {
+                    if (this._restoring === restoring) {
+                        this._restoring = null;
+                        layer.setBoundary(polygons);
+                    }
+                }, this), function() {});
+            } else if (initial) {
+                layer.setBoundary(initial);
+            }
+            return this;
+        },
+        
+        _onRectangleStart: function(e) {
+            this._points = [e.latlng];
+            this._map.once('mouseup', this._onRectangleEnd, this);
+        },
+        
+        _onRectangleEnd: function(e) {
+            var start = this._points[0];
+            var map = this._map;
             
-            // Save context
-            ctx.save();
+            // A click without dragging draws nothing
+            if (map.latLngToContainerPoint(start).distanceTo(map.latLngToContainerPoint(e.latlng)) < 3) {
+                this._points = [];
+                return;
+            }
+            this._finish(L.latLngBounds(start, e.latlng));
+        },
+        
+        _onPolygonClick: function(e) {
+            var points = this._points;
+            var map = this._map;
+            var point = map.latLngToContainerPoint(e.latlng);
             
-            // Create clipping path
-            ctx.beginPath();
-            var first = true;
-            boundaryPixels.forEach(function(point) {
-                if (first) {
-                    ctx.moveTo(point.x, point.y);
-                    first = false;
-                } else {
-                    ctx.lineTo(point.x, point.y);
+            if (points.length) {
+                // Clicking the first vertex closes the polygon; the clicks of a
+                // double click land on the last one and are ignored
+                if (points.length > 2 && point.distanceTo(map.latLngToContainerPoint(points[0])) < 8) {
+                    this._finishPolygon();
+                    return;
                 }
-            });
-            ctx.closePath();
+                if (point.distanceTo(map.latLngToContainerPoint(points[points.length - 1])) < 3) {
+                    return;
+                }
+            }
+            points.push(e.latlng);
+            this._preview.setLatLngs(points);
+        },
+        
+        _finishPolygon: function() {
+            if (this._points.length > 2) {
+                this._finish(this._points.slice());
+            }
+        },
+        
+        _onMouseMove: function(e) {
+            var points = this._points;
+            if (!points.length) return;
             
-            // Apply clipping
-            if (this._invertClip) {
-                ctx.clip();
-                ctx.fillStyle = 'rgba(0, 0, 0, 0)';
-                ctx.fill();
+            if (this._shape === 'rectangle') {
+                this._preview.setBounds(L.latLngBounds(points[0], e.latlng));
             } else {
-                ctx.clip();
+                this._preview.setLatLngs(points.concat(e.latlng));
+            }
+        },
+        
+        _onKeyDown: function(e) {
+            if (e.keyCode === 27) {
+                this.disable();
+            }
+        },
+        
+        _finish: function(boundary) {
+            var layer = this._layer;
+            this.disable();
+            
+            // A live boundary layer is followed again once cleared; a layer
+            // without any boundary (its remote one failed) has none to restore
+            if (!this._initialBoundary) {
+                var current = layer.getBoundary();
+                this._initialBoundary = layer._liveSource || layer._boundaryLoading || (current.length ? current : null);
             }
+            this._restoring = null;
+            layer.setBoundary(boundary);
+        }
+    });
+
+    // ============================================================================
+    // WMS LEGEND CONTROL
+    // ============================================================================
+
+    // Layer events after which the legend may have changed; new layers or
+    // styles show when the layer starts loading again
+    var LEGEND_EVENTS = 'boundarychange regionchange loading clipstart';
+
+    /**
+     * Legend of a clipped WMS layer (tile layer or overlay): the title and
+     * legend graphic of each WMS layer for its active style, and the name of
+     * the clip region. Titles and legend URLs come from the capabilities when
+     * the server advertises them, otherwise GetLegendGraphic is requested.
+     */
+    L.Control.WMSLegend = L.Control.extend({
+        
+        options: {
+            position: 'bottomright',
             
-            // Draw image (only clipped portion visible)
-            ctx.drawImage(img, 0, 0, size.x, size.y);
+            // Name of the clip region, a string or a function(layer) returning it
+            boundaryName: null,
             
-            // Restore context
-            ctx.restore();
+            // List the named regions of the layer
+            showRegions: true,
             
-            // Convert canvas to data URL and update overlay
-            var dataUrl = this._canvas.toDataURL('image/png');
-            this.setUrl(dataUrl);
-            this.setBounds(bounds);
+            // Extra GetLegendGraphic parameters, e.g. {legend_options: 'fontSize:10'}
+            legendParams: null
         },
         
         /**
-         * Update boundary
+         * @param {L.Layer} layer - Clipped WMS layer
+         * @param {Object} options - Control options
          */
-        setBoundary: function(boundary) {
-            this._boundary = normalizeBoundary(boundary);
-            this._update();
+        initialize: function(layer, options) {
+            L.setOptions(this, options);
+            this._layer = layer;
+        },
+        
+        onAdd: function(map) {
+            var container = L.DomUtil.create('div',
+                'leaflet-control-layers leaflet-control-layers-expanded leaflet-control-wms-legend');
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            this._content = container;
+            
+            this._layer.on(LEGEND_EVENTS, this._onLayerChange, this);
+            this._layer.getCapabilities().then(L.Util.bind(function(capabilities) {
+                this._capabilities = capabilities;
+                this.update();
+            }, this), L.Util.falseFn);
+            
+            this.update();
+            return container;
+        },
+        
+        onRemove: function() {
+            this._layer.off(LEGEND_EVENTS, this._onLayerChange, this);
+            this._content = null;
+        },
+        
+        /**
+         * Render the legend again, e.g. after setParams() with noRedraw
+         */
+        update: function() {
+            var container = this._content;
+            if (!container) return this;
+            
+            var layer = this._layer;
+            var styles = (layer.wmsParams.styles || '').split(',');
+            this._paramsKey = this._getParamsKey();
+            container.innerHTML = '';
+            
+            layer.wmsParams.layers.split(',').forEach(function(name, i) {
+                var info = this._capabilities ? capabilitiesLayer(this._capabilities, name) : null;
+                var title = info && info.title || name;
+                var item = L.DomUtil.create('div', 'leaflet-control-wms-legend-layer', container);
+                
+                L.DomUtil.create('div', 'leaflet-control-wms-legend-title', item).textContent = title;
+                var image = L.DomUtil.create('img', 'leaflet-control-wms-legend-image', item);
+                image.alt = 'Legend of ' + title;
+                image.src = this._legendUrl(name, styles[i] || '', info);
+            }, this);
+            
+            var boundaryName = typeof this.options.boundaryName === 'function' ?
+                this.options.boundaryName(layer) : this.options.boundaryName;
+            if (boundaryName) {
+                L.DomUtil.create('div', 'leaflet-control-wms-legend-boundary', container).textContent =
+                    (layer._invertClip ? 'Outside ' : 'Clipped to ') + boundaryName;
+            }
+            
+            if (this.options.showRegions) {
+                layer.getRegions().forEach(function(region) {
+                    L.DomUtil.create('div', 'leaflet-control-wms-legend-region', container).textContent =
+                        'Region: ' + region.id;
+                });
+            }
             return this;
         },
         
         /**
-         * Get boundary
+         * The LegendURL the capabilities give for the style (the first style
+         * when none is set), or a GetLegendGraphic request
          */
-        getBoundary: function() {
-            return this._boundary;
+        _legendUrl: function(name, style, info) {
+            var styleInfo = info && info.styles.filter(function(item) {
+                return style ? item.name === style : true;
+            })[0];
+            
+            if (styleInfo && styleInfo.legend && styleInfo.legend.url) {
+                return styleInfo.legend.url;
+            }
+            return legendGraphicUrl(this._layer._baseUrl || this._layer._url, this._layer.wmsParams,
+                name, style, this.options.legendParams);
+        },
+        
+        _getParamsKey: function() {
+            return this._layer.wmsParams.layers + '|' + (this._layer.wmsParams.styles || '');
+        },
+        
+        _onLayerChange: function(e) {
+            // Loading only changes the legend when the layers or styles did
+            if ((e.type !== 'loading' && e.type !== 'clipstart') || this._getParamsKey() !== this._paramsKey) {
+                this.update();
+            }
         }
     });
 
@@ -566,7 +5956,7 @@
      * 
      * @param {String} baseUrl - WMS server URL
      * @param {Object} options - WMS options
-     * @param {L.LatLngBounds|L.Polygon|GeoJSON|Array} boundary - Clipping boundary
+     * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Clipping boundary
      * @returns {L.TileLayer.WMS.Clipped}
      */
     L.tileLayer.wms.clipped = function(baseUrl, options, boundary) {
@@ -578,7 +5968,7 @@
      * 
      * @param {String} baseUrl - WMS server URL
      * @param {Object} options - WMS options
-     * @param {L.LatLngBounds|L.Polygon|GeoJSON|Array} boundary - Clipping boundary
+     * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Clipping boundary
      * @returns {L.ImageOverlay.WMS.Clipped}
      */
     // Create namespace if it doesn't exist
@@ -590,11 +5980,90 @@
         return new L.ImageOverlay.WMS.Clipped(baseUrl, options, boundary);
     };
 
+    /**
+     * Create clipped XYZ tile layer
+     * 
+     * @param {String} urlTemplate - Tile URL template
+     * @param {Object} options - Tile layer options
+     * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Clipping boundary
+     * @returns {L.TileLayer.Clipped}
+     */
+    L.tileLayer.clipped = function(urlTemplate, options, boundary) {
+        return new L.TileLayer.Clipped(urlTemplate, options, boundary);
+    };
+
+    /**
+     * Create clipped WMTS tile layer
+     * 
+     * @param {String} url - GetTile endpoint or RESTful URL template
+     * @param {Object} options - WMTS options
+     * @param {L.LatLngBounds|L.Polygon|GeoJSON|String|Object|Array} boundary - Clipping boundary
+     * @returns {L.TileLayer.WMTS.Clipped}
+     */
+    // Create namespace if it doesn't exist
+    if (!L.tileLayer.wmts) {
+        L.tileLayer.wmts = {};
+    }
+    
+    L.tileLayer.wmts.clipped = function(url, options, boundary) {
+        return new L.TileLayer.WMTS.Clipped(url, options, boundary);
+    };
+
+    /**
+     * Create a control to draw the boundary of a clipped layer
+     * 
+     * @param {L.Layer} layer - Clipped layer
+     * @param {Object} options - Control options
+     * @returns {L.Control.ClipDraw}
+     */
+    L.control.clipDraw = function(layer, options) {
+        return new L.Control.ClipDraw(layer, options);
+    };
+
+    /**
+     * Create a legend control for a clipped WMS layer
+     * 
+     * @param {L.Layer} layer - Clipped WMS layer
+     * @param {Object} options - Control options
+     * @returns {L.Control.WMSLegend}
+     */
+    L.control.wmsLegend = function(layer, options) {
+        return new L.Control.WMSLegend(layer, options);
+    };
+
+    // ============================================================================
+    // UTILITY NAMESPACE
+    // ============================================================================
+
+    /**
+     * Geometry and parsing helpers the layers are built on, for tests and
+     * applications. Boundaries are normalized polygons: arrays of rings
+     * (outer ring first), each an array of [lat, lng] pairs.
+     */
+    L.WMSCrop = {
+        util: {
+            normalizeBoundary: normalizeBoundary,
+            boundaryBounds: boundaryBounds,
+            unwrapPolygons: unwrapPolygons,
+            pointInPolygon: pointInPolygon,
+            projectToTilePixels: projectToTilePixels,
+            tileIntersectsBoundary: tileIntersectsBoundary,
+            parseWkt: parseWkt,
+            parseCapabilities: parseCapabilities
+        }
+    };
+
     // Export for module systems
     return {
+        WMSCrop: L.WMSCrop,
+        ClipMixin: L.ClipMixin,
         TileLayer: {
+            Clipped: L.TileLayer.Clipped,
             WMS: {
                 Clipped: L.TileLayer.WMS.Clipped
+            },
+            WMTS: {
+                Clipped: L.TileLayer.WMTS.Clipped
             }
         },
         ImageOverlay: {
@@ -602,15 +6071,27 @@
                 Clipped: L.ImageOverlay.WMS.Clipped
             }
         },
+        Control: {
+            ClipDraw: L.Control.ClipDraw,
+            WMSLegend: L.Control.WMSLegend
+        },
         tileLayer: {
+            clipped: L.tileLayer.clipped,
             wms: {
                 clipped: L.tileLayer.wms.clipped
+            },
+            wmts: {
+                clipped: L.tileLayer.wmts.clipped
             }
         },
         imageOverlay: {
             wms: {
                 clipped: L.imageOverlay.wms.clipped
             }
+        },
+        control: {
+            clipDraw: L.control.clipDraw,
+            wmsLegend: L.control.wmsLegend
         }
     };
 
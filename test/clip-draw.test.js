@@ -0,0 +1,135 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+// Served late, so shapes can be drawn while it is still loading
+var REMOTE = {
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [[[70, 10], [90, 10], [90, 30], [70, 30], [70, 10]]] }
+};
+
+test.before(function() {
+    return wmsServer.startWmsServer({
+        files: { '/boundary.geojson': { type: 'application/geo+json', body: JSON.stringify(REMOTE), delay: 100 } }
+    }).then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+var CENTER = [20, 80];
+
+test.describe('L.Control.ClipDraw', function() {
+    var env, L, map, layer;
+
+    test.beforeEach(function() {
+        env = helpers.createEnvironment();
+        L = env.L;
+        // jsdom has no SVG renderer, the shape preview is drawn on a canvas
+        map = helpers.createMap(env, { preferCanvas: true }).setView(CENTER, 5);
+    });
+
+    test.afterEach(function() {
+        map.remove();
+        env.window.close();
+    });
+
+    function addLayer(options, boundary) {
+        layer = L.tileLayer.wms.clipped(server.url, L.extend({
+            layers: 'ws:rain',
+            retry: { count: 0 }
+        }, options), boundary).addTo(map);
+        return layer;
+    }
+
+    // Bounds of the outer ring of the layer's boundary, as 'west,south,east,north'
+    function boundaryBounds() {
+        return L.latLngBounds(layer.getBoundary()[0][0]).toBBoxString();
+    }
+
+    function drawRectangle(control, from, to) {
+        control.enable('rectangle');
+        map.fire('mousedown', { latlng: L.latLng(from) });
+        map.fire('mouseup', { latlng: L.latLng(to) });
+    }
+
+    test.it('draws a rectangle and a polygon as the boundary', function() {
+        addLayer({}, L.latLngBounds([10, 70], [30, 90]));
+        var control = L.control.clipDraw(layer).addTo(map);
+
+        drawRectangle(control, [15, 75], [25, 85]);
+        assert.equal(boundaryBounds(), '75,15,85,25');
+
+        control.enable('polygon');
+        [[18, 78], [18, 82], [22, 80]].forEach(function(latlng) {
+            map.fire('click', { latlng: L.latLng(latlng) });
+        });
+        map.fire('dblclick');
+        assert.equal(boundaryBounds(), '78,18,82,22');
+        assert.equal(layer.getBoundary()[0][0].length, 3);
+    });
+
+    test.it('restores the boundary from before the first shape on clear', function() {
+        addLayer({}, L.latLngBounds([10, 70], [30, 90]));
+        var control = L.control.clipDraw(layer).addTo(map);
+
+        // Set after the control was created, still the one to restore
+        layer.setBoundary(L.latLngBounds([0, 60], [40, 100]));
+        drawRectangle(control, [15, 75], [25, 85]);
+        drawRectangle(control, [16, 76], [24, 84]);
+        control.clear();
+
+        assert.equal(boundaryBounds(), '60,0,100,40');
+    });
+
+    test.it('follows a live boundary layer again on clear', async function() {
+        var area = L.polygon([[10, 70], [10, 90], [30, 90], [30, 70]]);
+        addLayer({ live: true }, area);
+        var control = L.control.clipDraw(layer).addTo(map);
+
+        drawRectangle(control, [15, 75], [25, 85]);
+        area.setLatLngs([[12, 72], [12, 88], [28, 88], [28, 72]]).fire('edit');
+        await helpers.wait(50);
+        assert.equal(boundaryBounds(), '75,15,85,25');
+
+        control.clear();
+        assert.equal(boundaryBounds(), '72,12,88,28');
+
+        area.setLatLngs([[14, 74], [14, 86], [26, 86], [26, 74]]).fire('edit');
+        await helpers.wait(50);
+        assert.equal(boundaryBounds(), '74,14,86,26');
+    });
+
+    test.it('restores a remote boundary drawn over while loading once it has loaded', async function() {
+        addLayer({}, { url: server.origin + '/boundary.geojson' });
+        var control = L.control.clipDraw(layer).addTo(map);
+
+        drawRectangle(control, [15, 75], [25, 85]);
+        assert.equal(boundaryBounds(), '75,15,85,25');
+
+        var restored = helpers.once(layer, 'boundarychange');
+        control.clear();
+        await restored;
+        assert.equal(boundaryBounds(), '70,10,90,30');
+    });
+
+    test.it('keeps a shape drawn while a cleared remote boundary is loading', async function() {
+        addLayer({}, { url: server.origin + '/boundary.geojson' });
+        var control = L.control.clipDraw(layer).addTo(map);
+
+        drawRectangle(control, [15, 75], [25, 85]);
+        control.clear();
+        drawRectangle(control, [16, 76], [24, 84]);
+        await helpers.wait(300);
+
+        assert.equal(boundaryBounds(), '76,16,84,24');
+    });
+});
@@ -0,0 +1,365 @@
+/**
+ * Headless browser for the tests: jsdom with canvases and images backed by
+ * @napi-rs/canvas, Leaflet and the plugin loaded as browser scripts
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var JSDOM = require('jsdom').JSDOM;
+var canvas = require('@napi-rs/canvas');
+
+var LEAFLET = fs.readFileSync(require.resolve('leaflet/dist/leaflet-src.js'), 'utf8');
+var PLUGIN = fs.readFileSync(path.join(__dirname, '..', '..', 'leaflet-wms-crop.js'), 'utf8');
+
+// Size of every element, so the map has a 512x512 viewport
+var VIEWPORT = 512;
+
+// The napi canvas behind a canvas element, sized like the element
+function backingCanvas(element) {
+    if (!element._napi) {
+        element._napi = canvas.createCanvas(element.width || 300, element.height || 150);
+    }
+    return element._napi;
+}
+
+// Contexts draw napi canvases and images in place of the elements wrapping them
+var contextPrototype = Object.getPrototypeOf(canvas.createCanvas(1, 1).getContext('2d'));
+if (!contextPrototype._unwrapsElements) {
+    ['drawImage', 'createPattern'].forEach(function(name) {
+        var method = contextPrototype[name];
+        contextPrototype[name] = function(image) {
+            var args = Array.prototype.slice.call(arguments);
+            args[0] = image && image._napi ? image._napi : image;
+            return method.apply(this, args);
+        };
+    });
+    contextPrototype._unwrapsElements = true;
+}
+
+function installCanvas(window) {
+    var proto = window.HTMLCanvasElement.prototype;
+
+    proto.getContext = function(type) {
+        return type === '2d' ? backingCanvas(this).getContext('2d') : null;
+    };
+    proto.toDataURL = function(type, quality) {
+        return backingCanvas(this).toDataURL(type || 'image/png', quality);
+    };
+    proto.toBlob = function(callback, type, quality) {
+        var data = backingCanvas(this).toBuffer(type || 'image/png', quality);
+        callback(new window.Blob([data], { type: type || 'image/png' }));
+    };
+
+    // Resizing the element resizes (and clears) its backing canvas
+    ['width', 'height'].forEach(function(key) {
+        var descriptor = Object.getOwnPropertyDescriptor(proto, key);
+        Object.defineProperty(proto, key, {
+            get: function() { return descriptor.get.call(this); },
+            set: function(value) {
+                descriptor.set.call(this, value);
+                if (this._napi) {
+                    this._napi[key] = value;
+                }
+            }
+        });
+    });
+}
+
+// Images are fetched over HTTP and decoded by napi; data: URLs (Leaflet's
+// empty image, set to abort a tile) never load
+function installImages(window) {
+    var proto = window.HTMLImageElement.prototype;
+    var src = Object.getOwnPropertyDescriptor(proto, 'src');
+
+    Object.defineProperty(proto, 'src', {
+        get: function() { return src.get.call(this); },
+        set: function(url) {
+            var img = this;
+            var request = img._request = {};
+            src.set.call(img, url);
+            img._napi = null;
+
+            if (/^data:/.test(url)) return;
+
+            // The getter resolves URLs relative to the document
+            fetch(src.get.call(img)).then(function(response) {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.arrayBuffer();
+            }).then(function(buffer) {
+                return canvas.loadImage(Buffer.from(buffer));
+            }).then(function(image) {
+                if (img._request !== request) return;
+                img._napi = image;
+                img.dispatchEvent(new window.Event('load'));
+            }, function() {
+                if (img._request !== request) return;
+                img.dispatchEvent(new window.Event('error'));
+            });
+        }
+    });
+
+    ['naturalWidth', 'naturalHeight'].forEach(function(key) {
+        Object.defineProperty(proto, key, {
+            get: function() {
+                return this._napi ? this._napi[key === 'naturalWidth' ? 'width' : 'height'] : 0;
+            }
+        });
+    });
+    Object.defineProperty(proto, 'complete', {
+        get: function() { return !!this._napi; }
+    });
+}
+
+/**
+ * Web Workers, OffscreenCanvas and ImageBitmap for the useWorker option
+ * Workers run their blob: source in this process, with napi canvases and the
+ * given fetch (Node's by default), which like a browser's can't resolve
+ * relative URLs in a blob: worker.
+ * Returns {fetches, bitmaps}: the URLs workers fetched and every bitmap created
+ */
+function installWorkers(window, workerFetch) {
+    var log = { fetches: [], bitmaps: [] };
+    var blobs = {};
+    var count = 0;
+
+    function ImageBitmap() {}
+
+    function bitmap(image) {
+        var result = Object.create(ImageBitmap.prototype);
+        result._napi = image;
+        result.width = image.width;
+        result.height = image.height;
+        result.closed = false;
+        result.close = function() {
+            result.closed = true;
+        };
+        log.bitmaps.push(result);
+        return result;
+    }
+
+    function OffscreenCanvas(width, height) {
+        this._napi = canvas.createCanvas(width, height);
+    }
+    OffscreenCanvas.prototype.getContext = function(type) {
+        return this._napi.getContext(type);
+    };
+    OffscreenCanvas.prototype.transferToImageBitmap = function() {
+        return bitmap(this._napi);
+    };
+
+    function createImageBitmap(blob) {
+        return blob.arrayBuffer().then(function(buffer) {
+            return canvas.loadImage(Buffer.from(buffer));
+        }).then(bitmap);
+    }
+
+    function Worker(url) {
+        var worker = this;
+        var scope = {
+            postMessage: function(data) {
+                setTimeout(function() {
+                    if (!worker._terminated && worker.onmessage) {
+                        worker.onmessage({ data: data });
+                    }
+                }, 0);
+            }
+        };
+        var reader = new window.FileReader();
+
+        worker._ready = new Promise(function(resolve) {
+            reader.onload = function() {
+                new Function('self', 'fetch', 'createImageBitmap', 'OffscreenCanvas', reader.result)(
+                    scope, fetchFromWorker, createImageBitmap, OffscreenCanvas);
+                resolve(scope);
+            };
+        });
+        reader.readAsText(blobs[url]);
+    }
+    Worker.prototype.postMessage = function(data) {
+        var worker = this;
+        worker._ready.then(function(scope) {
+            if (!worker._terminated) {
+                scope.onmessage({ data: data });
+            }
+        });
+    };
+    Worker.prototype.terminate = function() {
+        this._terminated = true;
+    };
+
+    function fetchFromWorker(url, init) {
+        log.fetches.push(url);
+        return (workerFetch || fetch)(url, init);
+    }
+
+    window.URL.createObjectURL = function(blob) {
+        var url = 'blob:worker-' + (++count);
+        blobs[url] = blob;
+        return url;
+    };
+    window.Worker = Worker;
+    window.OffscreenCanvas = OffscreenCanvas;
+    window.ImageBitmap = ImageBitmap;
+    window.createImageBitmap = createImageBitmap;
+
+    return log;
+}
+
+/**
+ * Create a browser window with Leaflet and the plugin
+ * Options: url (of the document), workers (install workers, see
+ * installWorkers), workerFetch (fetch of the workers)
+ * Returns {window, L, document, workers}; close the window when done
+ */
+function createEnvironment(options) {
+    options = options || {};
+    var dom = new JSDOM('<!DOCTYPE html><div id="map"></div>', {
+        url: options.url,
+        pretendToBeVisual: true,
+        runScripts: 'outside-only'
+    });
+    var window = dom.window;
+
+    installCanvas(window);
+    installImages(window);
+    window.fetch = fetch;
+
+    ['clientWidth', 'clientHeight'].forEach(function(key) {
+        Object.defineProperty(window.HTMLElement.prototype, key, {
+            get: function() { return VIEWPORT; }
+        });
+    });
+
+    var workers = options.workers ? installWorkers(window, options.workerFetch) : null;
+
+    window.eval(LEAFLET);
+    window.eval(PLUGIN);
+
+    return { window: window, L: window.L, document: window.document, workers: workers };
+}
+
+/**
+ * Create a map in a new environment
+ */
+function createMap(env, options) {
+    var container = env.document.getElementById('map');
+    return env.L.map(container, env.L.extend({ fadeAnimation: false, zoomAnimation: false }, options));
+}
+
+/**
+ * Wait for an event of a Leaflet object
+ */
+function once(target, type) {
+    return new Promise(function(resolve) {
+        target.once(type, resolve);
+    });
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Wait until a tile layer has no tile loading
+ */
+function tilesLoaded(layer) {
+    return wait(0).then(function check() {
+        return layer.isLoading() ? wait(10).then(check) : null;
+    });
+}
+
+/**
+ * Points a distance in screen pixels inside and outside the middle of a
+ * boundary edge from a to b, for a convex boundary around center
+ * Returns [inside, outside] latlngs
+ */
+function edgeProbes(map, a, b, center, distance) {
+    var pa = map.project(a);
+    var pb = map.project(b);
+    var middle = pa.add(pb).divideBy(2);
+    var length = pa.distanceTo(pb);
+    var offset = [(pb.y - pa.y) / length * distance, (pa.x - pb.x) / length * distance];
+
+    // Point the offset inwards
+    var towardsCenter = map.project(center).subtract(middle);
+    if (offset[0] * towardsCenter.x + offset[1] * towardsCenter.y < 0) {
+        offset = [-offset[0], -offset[1]];
+    }
+
+    return [map.unproject(middle.add(offset)), map.unproject(middle.subtract(offset))];
+}
+
+/**
+ * Copy plain data out of the window's realm, whose arrays and objects have
+ * other prototypes than the test's (assert.deepEqual compares those)
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Alpha of the pixel of a clipped tile layer at a latlng, moved by an offset
+ * in screen pixels; null when no tile is loaded there
+ */
+function tileAlpha(layer, latlng, offset) {
+    var pixel = tilePixel(layer, latlng, offset);
+    return pixel && pixel[3];
+}
+
+/**
+ * [r, g, b, a] of the pixel of a clipped tile layer, as tileAlpha
+ */
+function tilePixel(layer, latlng, offset) {
+    var map = layer._map;
+    var zoom = map.getZoom();
+    var tileSize = layer.getTileSize();
+    var point = map.project(latlng, zoom).add(offset || [0, 0]).floor();
+    var coords = point.unscaleBy(tileSize).floor();
+    var tile = layer._tiles[coords.x + ':' + coords.y + ':' + zoom];
+
+    if (!tile || !tile.loaded) {
+        return null;
+    }
+    var pixel = point.subtract(coords.scaleBy(tileSize));
+    return Array.from(tile.el.getContext('2d').getImageData(pixel.x, pixel.y, 1, 1).data);
+}
+
+/**
+ * Alpha of the pixel of a clipped image overlay at a latlng, moved by an
+ * offset in screen pixels; null outside the image. Reads the fallback
+ * image when the request failed
+ */
+function overlayAlpha(overlay, latlng, offset) {
+    var map = overlay._map;
+    var request = overlay._sourceRequest || overlay._failedRequest;
+    var crs = overlay._crs;
+    var nw = crs.project(request.nw);
+    var se = crs.project(request.se);
+    var point = crs.project(map.unproject(map.project(latlng).add(offset || [0, 0])));
+    var x = Math.floor((point.x - nw.x) / (se.x - nw.x) * request.size.x);
+    var y = Math.floor((point.y - nw.y) / (se.y - nw.y) * request.size.y);
+
+    if (x < 0 || y < 0 || x >= request.size.x || y >= request.size.y) {
+        return null;
+    }
+    return overlay._canvas.getContext('2d').getImageData(x, y, 1, 1).data[3];
+}
+
+module.exports = {
+    createEnvironment: createEnvironment,
+    createMap: createMap,
+    once: once,
+    wait: wait,
+    tilesLoaded: tilesLoaded,
+    edgeProbes: edgeProbes,
+    plain: plain,
+    tileAlpha: tileAlpha,
+    tilePixel: tilePixel,
+    overlayAlpha: overlayAlpha
+};
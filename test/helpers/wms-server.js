@@ -0,0 +1,160 @@
+/**
+ * Stand-in WMS server for the tests
+ *
+ * GetMap answers with a PNG of the requested size filled with the color of
+ * the layer, so every pixel the mask lets through is known. Paths under
+ * /tiles/ answer with a red 256x256 PNG, standing in for XYZ and WMTS
+ * servers. Other paths serve the files given to startWmsServer, e.g. remote
+ * boundaries.
+ */
+
+'use strict';
+
+var http = require('http');
+var canvas = require('@napi-rs/canvas');
+
+// Fill color of a layer, opaque red unless the layer is listed
+var DEFAULT_COLOR = '#ff0000';
+
+// Layers the server fails for
+var BROKEN_LAYER = 'broken';
+
+// Layers the server refuses server-side clip parameters for, with a 400
+var NO_CLIP_LAYER = 'noclip';
+
+// 'flaky:N' fails the first N GetMap requests of every BBOX with a 500,
+// 'slow:MS' answers GetMap after MS milliseconds
+var FLAKY_LAYER = /^flaky:(\d+)$/;
+var SLOW_LAYER = /^slow:(\d+)$/;
+
+var images = {};
+
+function png(width, height, color) {
+    var key = width + 'x' + height + color;
+    if (!images[key]) {
+        var image = canvas.createCanvas(width, height);
+        var ctx = image.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.fillRect(0, 0, width, height);
+        images[key] = image.toBuffer('image/png');
+    }
+    return images[key];
+}
+
+// Query parameters with lowercase names, as WMS parameters are case-insensitive
+function queryParams(url) {
+    var params = {};
+    new URL(url, 'http://localhost').searchParams.forEach(function(value, key) {
+        params[key.toLowerCase()] = value;
+    });
+    return params;
+}
+
+/**
+ * Start the server on a free port
+ *
+ * Options:
+ * - colors: {layerName: cssColor} fill colors of GetMap images
+ * - capabilities: XML returned for GetCapabilities
+ * - featureInfo: {infoFormat: body} returned for GetFeatureInfo
+ * - files: {path: {type, body, delay}} served as is, after delay milliseconds
+ *
+ * Resolves with {url (the WMS endpoint), origin, requests, tiles,
+ * maxInFlight(layer), close()}, where requests lists the parameters of every
+ * WMS request received, tiles the paths and queries of every /tiles/ request,
+ * and maxInFlight(layer) is the most GetMap requests of a slow layer in
+ * flight at once.
+ */
+function startWmsServer(options) {
+    options = options || {};
+    var requests = [];
+    var tiles = [];
+    var failures = {};
+    var inFlight = {};
+    var maxInFlight = {};
+
+    var server = http.createServer(function(req, res) {
+        var pathname = new URL(req.url, 'http://localhost').pathname;
+        var headers = { 'Access-Control-Allow-Origin': '*' };
+
+        function send(status, type, body) {
+            headers['Content-Type'] = type;
+            res.writeHead(status, headers);
+            res.end(body);
+        }
+
+        var file = options.files && options.files[pathname];
+        if (file) {
+            setTimeout(function() {
+                send(200, file.type, file.body);
+            }, file.delay || 0);
+            return;
+        }
+        if (pathname.indexOf('/tiles/') === 0) {
+            tiles.push(req.url);
+            send(200, 'image/png', png(256, 256, DEFAULT_COLOR));
+            return;
+        }
+        if (pathname !== '/wms') {
+            send(404, 'text/plain', 'Not found');
+            return;
+        }
+
+        var params = queryParams(req.url);
+        requests.push(params);
+
+        var request = (params.request || '').toLowerCase();
+        var clipped = params.clip || params.cql_filter || params.sld_body;
+        var flaky = FLAKY_LAYER.exec(params.layers);
+        var slow = SLOW_LAYER.exec(params.layers);
+
+        if (request === 'getmap' && slow) {
+            inFlight[params.layers] = (inFlight[params.layers] || 0) + 1;
+            maxInFlight[params.layers] = Math.max(maxInFlight[params.layers] || 0, inFlight[params.layers]);
+            setTimeout(function() {
+                inFlight[params.layers]--;
+                send(200, 'image/png', png(parseInt(params.width, 10), parseInt(params.height, 10), DEFAULT_COLOR));
+            }, Number(slow[1]));
+        } else if (request === 'getmap' && flaky && (failures[params.layers + params.bbox] = (failures[params.layers + params.bbox] || 0) + 1) <= Number(flaky[1])) {
+            send(500, 'text/plain', 'Try again');
+        } else if (request === 'getmap' && params.layers === NO_CLIP_LAYER && clipped) {
+            send(400, 'text/xml', '<ServiceExceptionReport><ServiceException>Unknown parameter</ServiceException></ServiceExceptionReport>');
+        } else if (request === 'getcapabilities' && options.capabilities) {
+            send(200, 'text/xml', options.capabilities);
+        } else if (request === 'getfeatureinfo' && options.featureInfo && params.info_format in options.featureInfo) {
+            send(200, params.info_format, options.featureInfo[params.info_format]);
+        } else if (request === 'getmap' && params.layers !== BROKEN_LAYER) {
+            var color = (options.colors && options.colors[params.layers]) || DEFAULT_COLOR;
+            send(200, 'image/png', png(parseInt(params.width, 10), parseInt(params.height, 10), color));
+        } else {
+            send(500, 'text/xml', '<ServiceExceptionReport><ServiceException>Bad request</ServiceException></ServiceExceptionReport>');
+        }
+    });
+
+    return new Promise(function(resolve) {
+        server.listen(0, '127.0.0.1', function() {
+            var origin = 'http://127.0.0.1:' + server.address().port;
+            resolve({
+                url: origin + '/wms',
+                origin: origin,
+                requests: requests,
+                tiles: tiles,
+                maxInFlight: function(layer) {
+                    return maxInFlight[layer] || 0;
+                },
+                close: function() {
+                    return new Promise(function(done) {
+                        server.closeAllConnections();
+                        server.close(done);
+                    });
+                }
+            });
+        });
+    });
+}
+
+module.exports = {
+    startWmsServer: startWmsServer,
+    BROKEN_LAYER: BROKEN_LAYER,
+    NO_CLIP_LAYER: NO_CLIP_LAYER
+};
@@ -0,0 +1,339 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var canvas = require('@napi-rs/canvas');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+// Opaque fallback image, served late so the image fails before it loads
+function fallbackPng() {
+    var image = canvas.createCanvas(16, 16);
+    var ctx = image.getContext('2d');
+    ctx.fillStyle = '#0000ff';
+    ctx.fillRect(0, 0, 16, 16);
+    return image.toBuffer('image/png');
+}
+
+test.before(function() {
+    return wmsServer.startWmsServer({
+        files: { '/fallback.png': { type: 'image/png', body: fallbackPng(), delay: 200 } }
+    }).then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+function getMapRequests() {
+    return server.requests.filter(function(params) {
+        return params.request === 'GetMap';
+    });
+}
+
+// A diamond, so points just outside its edges are still in the requested image
+var N = [30, 80];
+var E = [20, 90];
+var S = [10, 80];
+var W = [20, 70];
+var CENTER = [20, 80];
+var EDGES = [[N, E], [E, S], [S, W], [W, N]];
+
+[
+    { name: 'EPSG:3857', crs: 'EPSG3857', zooms: [4, 6, 8] },
+    { name: 'EPSG:4326', crs: 'EPSG4326', zooms: [3, 5, 7] }
+].forEach(function(setup) {
+    test.describe('L.ImageOverlay.WMS.Clipped in ' + setup.name, function() {
+        var env, L, map, overlay;
+
+        test.beforeEach(function() {
+            env = helpers.createEnvironment();
+            L = env.L;
+            map = helpers.createMap(env, { crs: L.CRS[setup.crs] });
+        });
+
+        test.afterEach(function() {
+            map.remove();
+            env.window.close();
+        });
+
+        function addOverlay(options) {
+            overlay = L.imageOverlay.wms.clipped(server.url, L.extend({
+                layers: 'ws:rain',
+                transparent: true,
+                retry: { count: 0 }
+            }, options), [N, E, S, W]);
+
+            var clipped = helpers.once(overlay, 'clipend');
+            overlay.addTo(map);
+            return clipped;
+        }
+
+        function setView(latlng, zoom) {
+            var clipped = helpers.once(overlay, 'clipend');
+            map.setView(latlng, zoom);
+            return clipped;
+        }
+
+        setup.zooms.forEach(function(zoom) {
+            test.it('masks the boundary edges at zoom ' + zoom, async function() {
+                map.setView(CENTER, zoom);
+                await addOverlay();
+
+                for (var i = 0; i < EDGES.length; i++) {
+                    var middle = helpers.edgeProbes(map, EDGES[i][0], EDGES[i][1], CENTER, 0)[0];
+                    if (!map.getBounds().pad(-0.1).contains(middle)) {
+                        await setView(middle, zoom);
+                    }
+                    var probes = helpers.edgeProbes(map, EDGES[i][0], EDGES[i][1], CENTER, 4);
+
+                    assert.equal(helpers.overlayAlpha(overlay, probes[0]), 255, 'inside edge ' + i);
+                    assert.equal(helpers.overlayAlpha(overlay, probes[1]), 0, 'outside edge ' + i);
+                }
+            });
+        });
+
+        test.it('shows only the outside with invertClip', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            await addOverlay({ invertClip: true });
+
+            assert.equal(helpers.overlayAlpha(overlay, CENTER), 0);
+            assert.equal(helpers.overlayAlpha(overlay, [12, 72]), 255);
+        });
+
+        test.it('requests room for the stroke around the boundary', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            await addOverlay({ stroke: { color: '#0000ff', weight: 6 } });
+
+            // The image is cut at the boundary's bounds in view, its corners here
+            assert.ok(helpers.overlayAlpha(overlay, W, [-2, 0]) > 0);
+            assert.ok(helpers.overlayAlpha(overlay, E, [2, 0]) > 0);
+        });
+
+        test.it('exports the regions with toImage', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            await addOverlay();
+            overlay.addRegion('east', L.latLngBounds([15, 95], [25, 105]), { opacity: 0.5 });
+
+            var bounds = L.latLngBounds([5, 65], [35, 110]);
+            var result = await overlay.toImage({ bounds: bounds, width: 300, format: 'canvas' });
+            var crs = map.options.crs;
+            var nw = crs.project(bounds.getNorthWest());
+            var se = crs.project(bounds.getSouthEast());
+
+            function alpha(latlng) {
+                var point = crs.project(L.latLng(latlng));
+                var x = Math.floor((point.x - nw.x) / (se.x - nw.x) * result.width);
+                var y = Math.floor((point.y - nw.y) / (se.y - nw.y) * result.height);
+                return result.image.getContext('2d').getImageData(x, y, 1, 1).data[3];
+            }
+            assert.equal(alpha(CENTER), 255);
+            assert.ok(Math.abs(alpha([20, 100]) - 128) < 2);
+            assert.equal(alpha([30, 100]), 0);
+        });
+
+        test.it('sends none of the clip options to the server', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            await addOverlay({
+                useWorker: false,
+                cacheMaxBytes: 1024,
+                simplifyTolerance: 1,
+                maxConcurrentRequests: 2,
+                feather: 2
+            });
+
+            var params = getMapRequests().pop();
+            ['useworker', 'cachemaxbytes', 'simplifytolerance', 'maxconcurrentrequests', 'feather', 'retry']
+                .forEach(function(name) {
+                    assert.equal(params[name], undefined, name);
+                });
+            assert.equal(params.layers, 'ws:rain');
+        });
+
+        test.it('counts the pixels of a boundary partly off-screen', async function() {
+            map.setView([20, 88], setup.zooms[1]);
+            await addOverlay();
+
+            for (var zoom = setup.zooms[1]; zoom <= setup.zooms[1] + 1; zoom++) {
+                var stats = await overlay.getClippedStats({ zoom: zoom });
+                var corners = [N, E, S, W].map(function(latlng) { return map.project(latlng, zoom); });
+                var expected = 0;
+                corners.forEach(function(point, i) {
+                    var next = corners[(i + 1) % corners.length];
+                    expected += (point.x * next.y - next.x * point.y) / 2;
+                });
+                expected = Math.abs(expected);
+
+                assert.ok(Math.abs(stats.pixels / expected - 1) < 0.02, stats.pixels + ' of ' + expected + ' at zoom ' + zoom);
+                assert.equal(stats.zoom, zoom);
+            }
+        });
+
+        test.it('skips views away from the boundary', async function() {
+            map.setView([-40, -60], setup.zooms[1]);
+            var before = getMapRequests().length;
+            overlay = L.imageOverlay.wms.clipped(server.url, { layers: 'ws:rain' }, [N, E, S, W]);
+            var skipped = helpers.once(overlay, 'tileskipped');
+            overlay.addTo(map);
+            await skipped;
+
+            assert.equal(getMapRequests().length, before);
+        });
+
+        test.it('re-clips the current image when the boundary changes', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            await addOverlay();
+            var before = getMapRequests().length;
+
+            overlay.setBoundary(L.latLngBounds([15, 75], [25, 85]));
+            await helpers.wait(50);
+
+            assert.equal(getMapRequests().length, before);
+            assert.equal(helpers.overlayAlpha(overlay, CENTER), 255);
+            assert.equal(helpers.overlayAlpha(overlay, [27, 80]), 0);
+        });
+
+        // Each change shows pixels west of the requested image, at [20, 62]
+        [
+            { name: 'the boundary moves past the image', change: function() {
+                overlay.setBoundary(L.latLngBounds([10, 60], [30, 90]));
+            } },
+            { name: 'the clip is inverted', change: function() {
+                overlay.setInvert(true);
+            } },
+            { name: 'a region lies past the image', change: function() {
+                overlay.addRegion('west', L.latLngBounds([15, 60], [25, 65]));
+            } },
+            { name: 'the outside is styled', change: function() {
+                overlay.setClipStyle({ outsideStyle: { opacity: 0.5 } });
+            } }
+        ].forEach(function(path) {
+            test.it('requests a new image when ' + path.name, async function() {
+                map.setView(CENTER, setup.zooms[0]);
+                await addOverlay();
+                var before = getMapRequests().length;
+                assert.equal(helpers.overlayAlpha(overlay, [20, 62]), null);
+
+                var clipped = helpers.once(overlay, 'tileclipped');
+                path.change();
+                await clipped;
+
+                assert.equal(getMapRequests().length, before + 1);
+                assert.ok(helpers.overlayAlpha(overlay, [20, 62]) > 0);
+            });
+        });
+
+        test.it('leaves live edits made around a remove for the next add', async function() {
+            var area = L.polygon([N, E, S, W]);
+            var changes = 0;
+            map.setView(CENTER, setup.zooms[0]);
+            overlay = L.imageOverlay.wms.clipped(server.url, { layers: 'ws:rain', live: true }, area)
+                .on('boundarychange', function() { changes++; });
+            var clipped = helpers.once(overlay, 'clipend');
+            overlay.addTo(map);
+            await clipped;
+
+            area.setLatLngs([[15, 75], [15, 85], [25, 85], [25, 75]]).fire('edit');
+            overlay.remove();
+            await helpers.wait(50);
+            assert.equal(changes, 0);
+
+            clipped = helpers.once(overlay, 'clipend');
+            overlay.addTo(map);
+            await clipped;
+            assert.equal(changes, 1);
+            assert.equal(L.latLngBounds(overlay.getBoundary()[0][0]).toBBoxString(), '75,15,85,25');
+            assert.equal(helpers.overlayAlpha(overlay, CENTER), 255);
+        });
+
+        test.it('hides everything while a live group is emptied', async function() {
+            var area = L.polygon([N, E, S, W]);
+            var group = L.featureGroup([area]);
+            map.setView(CENTER, setup.zooms[0]);
+            overlay = L.imageOverlay.wms.clipped(server.url, { layers: 'ws:rain', live: true }, group);
+            var clipped = helpers.once(overlay, 'clipend');
+            overlay.addTo(map);
+            await clipped;
+
+            var skipped = 0;
+            overlay.on('tileskipped', function() { skipped++; });
+            group.removeLayer(area);
+            await helpers.wait(50);
+            assert.equal(overlay.getBoundary().length, 0);
+            assert.equal(skipped, 1);
+
+            clipped = helpers.once(overlay, 'clipend');
+            group.addLayer(area);
+            await clipped;
+            assert.equal(helpers.overlayAlpha(overlay, CENTER), 255);
+        });
+
+        test.it('falls back to client-side clipping only when the server refuses serverClip', async function() {
+            var fallbacks = 0;
+            map.setView(CENTER, setup.zooms[0]);
+            await addOverlay({ layers: wmsServer.NO_CLIP_LAYER, serverClip: 'clip' });
+
+            assert.equal(helpers.overlayAlpha(overlay, CENTER), 255);
+            overlay.remove();
+
+            var failed = new Promise(function(resolve) {
+                overlay = L.imageOverlay.wms.clipped(server.url, {
+                    layers: wmsServer.BROKEN_LAYER,
+                    serverClip: 'clip',
+                    retry: { count: 0 }
+                }, [N, E, S, W]).on({
+                    serverclipfallback: function() { fallbacks++; },
+                    cliperror: resolve
+                }).addTo(map);
+            });
+
+            assert.equal((await failed).cause, 'load');
+            assert.equal(fallbacks, 0);
+        });
+
+        test.it('fires cliperror when the image fails', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            var failed = new Promise(function(resolve) {
+                overlay = L.imageOverlay.wms.clipped(server.url, {
+                    layers: wmsServer.BROKEN_LAYER,
+                    retry: { count: 0 }
+                }, [N, E, S, W]).on('cliperror', resolve).addTo(map);
+            });
+
+            assert.equal((await failed).cause, 'load');
+        });
+
+        test.it('shows the fallback once it loads where the image failed', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            overlay = L.imageOverlay.wms.clipped(server.url, {
+                layers: wmsServer.BROKEN_LAYER,
+                fallbackTile: server.origin + '/fallback.png'
+            }, [N, E, S, W]);
+            var failed = helpers.once(overlay, 'cliperror');
+            overlay.addTo(map);
+            await failed;
+
+            await helpers.wait(300);
+            assert.equal(helpers.overlayAlpha(overlay, CENTER), 255);
+        });
+
+        test.it('fires cliperror without logging to the console', async function() {
+            var logged = [];
+            env.window.console.error = function(message) { logged.push(message); };
+            map.setView(CENTER, setup.zooms[0]);
+            overlay = L.imageOverlay.wms.clipped(server.url, {
+                layers: wmsServer.BROKEN_LAYER,
+                retry: { count: 0 }
+            }, [N, E, S, W]);
+            var ended = helpers.once(overlay, 'clipend');
+            overlay.addTo(map);
+            await ended;
+
+            assert.deepEqual(logged, []);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+// ws:rain advertises a legend for its default style, ws:temp has no styles
+var CAPABILITIES = '<?xml version="1.0"?>' +
+    '<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+    '<Capability><Layer><Title>Root</Title>' +
+    '<Layer><Name>ws:rain</Name><Title>Rainfall</Title>' +
+    '<Style><Name>default</Name><Title>Default</Title><LegendURL width="20" height="20"><Format>image/png</Format>' +
+    '<OnlineResource xlink:type="simple" xlink:href="http://legends.example.com/rain.png"/></LegendURL></Style>' +
+    '</Layer>' +
+    '<Layer><Name>ws:temp</Name><Title>Temperature</Title></Layer>' +
+    '</Layer></Capability></WMS_Capabilities>';
+
+test.before(function() {
+    return wmsServer.startWmsServer({ capabilities: CAPABILITIES }).then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+var CENTER = [20, 80];
+
+test.describe('L.Control.WMSLegend', function() {
+    var env, L, map, layer;
+
+    test.beforeEach(function() {
+        env = helpers.createEnvironment();
+        L = env.L;
+        map = helpers.createMap(env).setView(CENTER, 5);
+        layer = L.tileLayer.wms.clipped(server.url, {
+            layers: 'ws:rain,ws:temp,ws:wind',
+            styles: ',,fast',
+            version: '1.3.0',
+            retry: { count: 0 }
+        }, L.latLngBounds([10, 70], [30, 90])).addTo(map);
+    });
+
+    test.afterEach(function() {
+        map.remove();
+        env.window.close();
+    });
+
+    function items(control, name) {
+        return Array.prototype.map.call(control.getContainer().querySelectorAll('.leaflet-control-wms-legend-' + name),
+            function(element) {
+                return element.tagName === 'IMG' ? element.getAttribute('src') : element.textContent;
+            });
+    }
+
+    function legendParams(src) {
+        var params = {};
+        new URL(src).searchParams.forEach(function(value, key) {
+            params[key.toLowerCase()] = value;
+        });
+        return params;
+    }
+
+    test.it('shows titles and legends from the capabilities', async function() {
+        var control = L.control.wmsLegend(layer, { legendParams: { legend_options: 'fontSize:10' } }).addTo(map);
+        assert.deepEqual(items(control, 'title'), ['ws:rain', 'ws:temp', 'ws:wind']);
+
+        await layer.getCapabilities();
+        assert.deepEqual(items(control, 'title'), ['Rainfall', 'Temperature', 'ws:wind']);
+
+        var images = items(control, 'image');
+        assert.equal(images[0], 'http://legends.example.com/rain.png');
+
+        // Layers without a LegendURL fall back to GetLegendGraphic
+        var temp = legendParams(images[1]);
+        assert.equal(temp.request, 'GetLegendGraphic');
+        assert.equal(temp.layer, 'ws:temp');
+        assert.equal(temp.style, undefined);
+        assert.equal(temp.legend_options, 'fontSize:10');
+        assert.equal(temp.sld_version, '1.1.0');
+        assert.equal(legendParams(images[2]).style, 'fast');
+    });
+
+    test.it('shows the clip region and regions, and follows their changes', async function() {
+        var control = L.control.wmsLegend(layer, { boundaryName: 'Punjab' }).addTo(map);
+        await layer.getCapabilities();
+        assert.deepEqual(items(control, 'boundary'), ['Clipped to Punjab']);
+        assert.deepEqual(items(control, 'region'), []);
+
+        layer.addRegion('north', L.latLngBounds([25, 75], [30, 85]));
+        layer.setInvert(true);
+        layer.setBoundary(L.latLngBounds([12, 72], [28, 88]));
+        assert.deepEqual(items(control, 'boundary'), ['Outside Punjab']);
+        assert.deepEqual(items(control, 'region'), ['Region: north']);
+    });
+
+    test.it('updates when the layers or styles change', async function() {
+        var control = L.control.wmsLegend(layer, {
+            boundaryName: function(clipped) { return clipped.wmsParams.layers.split(',').length + ' layers'; }
+        }).addTo(map);
+        await layer.getCapabilities();
+
+        layer.setParams({ layers: 'ws:temp', styles: 'cold' });
+        assert.deepEqual(items(control, 'title'), ['Temperature']);
+        assert.equal(legendParams(items(control, 'image')[0]).style, 'cold');
+        assert.deepEqual(items(control, 'boundary'), ['Clipped to 1 layers']);
+
+        control.remove();
+        layer.setParams({ layers: 'ws:rain' });
+        assert.equal(control.getContainer().querySelectorAll('.leaflet-control-wms-legend-title').length, 1);
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+test.before(function() {
+    return wmsServer.startWmsServer().then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+var CENTER = [20, 80];
+var FRAMES = ['2023-01', '2023-02', '2023-03'];
+
+// Values of a parameter in the GetMap requests since an index
+function sentValues(since, name) {
+    var values = [];
+    server.requests.slice(since).forEach(function(params) {
+        if (params.request === 'GetMap' && values.indexOf(params[name]) === -1) {
+            values.push(params[name]);
+        }
+    });
+    return values;
+}
+
+test.describe('Animation frames', function() {
+    var env, L, map, layer, events;
+
+    test.beforeEach(function() {
+        env = helpers.createEnvironment();
+        L = env.L;
+        map = helpers.createMap(env).setView(CENTER, 5);
+    });
+
+    test.afterEach(function() {
+        map.remove();
+        env.window.close();
+    });
+
+    function createLayer(options) {
+        events = [];
+        layer = L.tileLayer.wms.clipped(server.url, L.extend({
+            layers: 'ws:rain',
+            frames: FRAMES,
+            fadeDuration: 0,
+            retry: { count: 0 }
+        }, options), L.latLngBounds([10, 70], [30, 90])).on({
+            framechange: function(e) { events.push(e.index + ':' + e.value); },
+            play: function() { events.push('play'); },
+            pause: function() { events.push('pause'); }
+        });
+        return layer;
+    }
+
+    test.it('requests the first frame from the start', async function() {
+        var before = server.requests.length;
+        createLayer().addTo(map);
+        await helpers.tilesLoaded(layer);
+
+        assert.deepEqual(sentValues(before, 'time'), ['2023-01']);
+        assert.deepEqual(helpers.plain(layer.getFrame()), { index: 0, value: '2023-01' });
+    });
+
+    test.it('shows a frame with setFrame and step', async function() {
+        createLayer({ preloadFrames: 0 }).addTo(map);
+        await helpers.tilesLoaded(layer);
+
+        var before = server.requests.length;
+        var changed = helpers.once(layer, 'framechange');
+        layer.setFrame(2);
+        await changed;
+        assert.deepEqual(sentValues(before, 'time'), ['2023-03']);
+        assert.equal(layer.wmsParams.time, '2023-03');
+
+        // Looping past the last frame
+        before = server.requests.length;
+        changed = helpers.once(layer, 'framechange');
+        layer.step();
+        await changed;
+        assert.deepEqual(sentValues(before, 'time'), []);
+        assert.equal(layer.wmsParams.time, '2023-01');
+
+        changed = helpers.once(layer, 'framechange');
+        layer.step(-1);
+        await changed;
+        assert.deepEqual(events, ['2:2023-03', '0:2023-01', '2:2023-03']);
+    });
+
+    test.it('plays and pauses', async function() {
+        var before = server.requests.length;
+        createLayer({ fps: 50, loop: false }).addTo(map);
+        await helpers.tilesLoaded(layer);
+
+        var paused = helpers.once(layer, 'pause');
+        layer.play();
+        assert.ok(layer.isPlaying());
+        await paused;
+
+        assert.ok(!layer.isPlaying());
+        assert.deepEqual(events, ['play', '1:2023-02', '2:2023-03', 'pause']);
+        assert.deepEqual(sentValues(before, 'time').sort(), FRAMES);
+    });
+
+    test.it('starts playing once added when played off the map', async function() {
+        createLayer({ fps: 50 });
+        layer.play();
+        await helpers.wait(100);
+        assert.deepEqual(events, ['play']);
+
+        var changed = helpers.once(layer, 'framechange');
+        layer.addTo(map);
+        await changed;
+        layer.pause();
+        assert.deepEqual(events, ['play', '1:2023-02', 'pause']);
+    });
+
+    test.it('sends dimensions with setTime and setDimension', async function() {
+        createLayer({ frames: null }).addTo(map);
+        await helpers.tilesLoaded(layer);
+
+        var before = server.requests.length;
+        layer.setTime('2023-07-01', true);
+        layer.setDimension('elevation', 500, true);
+        layer.setDimension('depth', 10);
+        await helpers.tilesLoaded(layer);
+
+        var params = server.requests[server.requests.length - 1];
+        assert.ok(server.requests.length > before);
+        assert.equal(params.time, '2023-07-01');
+        assert.equal(params.elevation, '500');
+        assert.equal(params.dim_depth, '10');
+    });
+});
@@ -0,0 +1,664 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var canvas = require('@napi-rs/canvas');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+var CAPABILITIES = '<?xml version="1.0"?>' +
+    '<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms">' +
+    '<Capability><Layer><Title>Root</Title>' +
+    '<Layer><Name>ws:rain</Name><Title>Rainfall</Title>' +
+    '<EX_GeographicBoundingBox><westBoundLongitude>60</westBoundLongitude><eastBoundLongitude>100</eastBoundLongitude>' +
+    '<southBoundLatitude>0</southBoundLatitude><northBoundLatitude>40</northBoundLatitude></EX_GeographicBoundingBox>' +
+    '</Layer></Layer></Capability></WMS_Capabilities>';
+
+var FEATURE_INFO_HTML = '<html><head><style>td { color: red; }</style></head><body>' +
+    '<table class="featureInfo"><tr><th>name</th><td onclick="window.hacked = true">Rain' +
+    '<script>window.hacked = true;</script><img src="x" onerror="window.hacked = true"></td></tr></table>' +
+    '<a href="javascript:window.hacked = true">Details</a></body></html>';
+
+// Opaque fallback tile, served late so the first tiles fail before it loads
+function fallbackPng() {
+    var image = canvas.createCanvas(16, 16);
+    var ctx = image.getContext('2d');
+    ctx.fillStyle = '#0000ff';
+    ctx.fillRect(0, 0, 16, 16);
+    return image.toBuffer('image/png');
+}
+
+test.before(function() {
+    return wmsServer.startWmsServer({
+        capabilities: CAPABILITIES,
+        featureInfo: {
+            'text/html': FEATURE_INFO_HTML,
+            'text/plain': 'rain < 5mm'
+        },
+        files: {
+            '/empty.wkt': { type: 'text/plain', body: 'POLYGON EMPTY' },
+            '/fallback.png': { type: 'image/png', body: fallbackPng(), delay: 200 },
+            '/boundary.geojson': {
+                type: 'application/geo+json',
+                body: JSON.stringify({
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: [[[70, 10], [90, 10], [90, 30], [70, 30], [70, 10]]] }
+                })
+            }
+        }
+    }).then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+// Boundary corners, counter-clockwise from the south-west
+var SW = [10, 70];
+var SE = [10, 90];
+var NE = [30, 90];
+var NW = [30, 70];
+var CENTER = [20, 80];
+var EDGES = [[SW, SE], [SE, NE], [NE, NW], [NW, SW]];
+
+function getMapRequests() {
+    return server.requests.filter(function(params) {
+        return params.request === 'GetMap';
+    });
+}
+
+[
+    { name: 'EPSG:3857', crs: 'EPSG3857', zooms: [3, 5, 7] },
+    { name: 'EPSG:4326', crs: 'EPSG4326', zooms: [2, 4, 6] }
+].forEach(function(setup) {
+    test.describe('L.TileLayer.WMS.Clipped in ' + setup.name, function() {
+        var env, L, map, layer;
+
+        test.beforeEach(function() {
+            env = helpers.createEnvironment();
+            L = env.L;
+            map = helpers.createMap(env, { crs: L.CRS[setup.crs] });
+        });
+
+        test.afterEach(function() {
+            map.remove();
+            env.window.close();
+        });
+
+        // Events are bound before adding, as hidden tiles are skipped right away
+        function addLayer(options, boundary, events) {
+            layer = L.tileLayer.wms.clipped(server.url, L.extend({
+                layers: 'ws:rain',
+                transparent: true,
+                retry: { count: 0 }
+            }, options), boundary || L.latLngBounds(SW, NE));
+            return layer.on(events || {}).addTo(map);
+        }
+
+        function showEdge(edge, zoom) {
+            map.setView(helpers.edgeProbes(map, edge[0], edge[1], CENTER, 0)[0], zoom);
+            return helpers.tilesLoaded(layer);
+        }
+
+        setup.zooms.forEach(function(zoom) {
+            test.it('masks the boundary edges at zoom ' + zoom, async function() {
+                map.setView(CENTER, zoom);
+                addLayer();
+
+                for (var i = 0; i < EDGES.length; i++) {
+                    await showEdge(EDGES[i], zoom);
+                    var probes = helpers.edgeProbes(map, EDGES[i][0], EDGES[i][1], CENTER, 3);
+
+                    assert.equal(helpers.tileAlpha(layer, probes[0]), 255, 'inside edge ' + i);
+                    assert.equal(helpers.tileAlpha(layer, probes[1]), 0, 'outside edge ' + i);
+                }
+            });
+        });
+
+        test.it('shows only the outside with invertClip', async function() {
+            map.setView(CENTER, setup.zooms[1]);
+            addLayer({ invertClip: true });
+            await showEdge(EDGES[0], setup.zooms[1]);
+
+            var probes = helpers.edgeProbes(map, SW, SE, CENTER, 3);
+            assert.equal(helpers.tileAlpha(layer, probes[0]), 0);
+            assert.equal(helpers.tileAlpha(layer, probes[1]), 255);
+        });
+
+        test.it('fades the boundary edges over the feather width', async function() {
+            map.setView(CENTER, setup.zooms[1]);
+            addLayer({ feather: 8 });
+            await showEdge(EDGES[0], setup.zooms[1]);
+
+            var edge = helpers.tileAlpha(layer, helpers.edgeProbes(map, SW, SE, CENTER, 0)[0]);
+            var near = helpers.edgeProbes(map, SW, SE, CENTER, 3);
+            var far = helpers.edgeProbes(map, SW, SE, CENTER, 16);
+            assert.ok(edge > 64 && edge < 192, 'edge ' + edge);
+            assert.ok(helpers.tileAlpha(layer, near[0]) > edge && helpers.tileAlpha(layer, near[0]) < 255);
+            assert.ok(helpers.tileAlpha(layer, near[1]) < edge && helpers.tileAlpha(layer, near[1]) > 0);
+            assert.equal(helpers.tileAlpha(layer, far[0]), 255);
+            assert.equal(helpers.tileAlpha(layer, far[1]), 0);
+        });
+
+        test.it('draws the outside with outsideStyle', async function() {
+            map.setView(CENTER, setup.zooms[1]);
+            addLayer({ outsideStyle: { opacity: 0.5, fillColor: '#0000ff', fillOpacity: 1 } });
+            await showEdge(EDGES[0], setup.zooms[1]);
+
+            var probes = helpers.edgeProbes(map, SW, SE, CENTER, 3);
+            assert.deepEqual(helpers.tilePixel(layer, probes[0]), [255, 0, 0, 255]);
+            assert.deepEqual(helpers.tilePixel(layer, probes[1]), [0, 0, 255, 128]);
+        });
+
+        test.it('restyles the loaded tiles with setClipStyle without requesting them', async function() {
+            map.setView(CENTER, setup.zooms[1]);
+            addLayer();
+            await showEdge(EDGES[0], setup.zooms[1]);
+            var before = getMapRequests().length;
+            var probes = helpers.edgeProbes(map, SW, SE, CENTER, 3);
+
+            var reclipped = helpers.once(layer, 'clipend');
+            layer.setClipStyle({ outsideStyle: { opacity: 0.5, grayscale: 1 } });
+            await reclipped;
+            var outside = helpers.tilePixel(layer, probes[1]);
+            assert.equal(outside[3], 128);
+            assert.ok(outside[0] === outside[1] && outside[1] === outside[2] && outside[0] > 0, outside.join());
+            assert.deepEqual(helpers.tilePixel(layer, probes[0]), [255, 0, 0, 255]);
+
+            reclipped = helpers.once(layer, 'clipend');
+            layer.setClipStyle({ outsideStyle: null, feather: 8 });
+            await reclipped;
+            var edge = helpers.tileAlpha(layer, helpers.edgeProbes(map, SW, SE, CENTER, 0)[0]);
+            assert.ok(edge > 64 && edge < 192, 'edge ' + edge);
+
+            reclipped = helpers.once(layer, 'clipend');
+            layer.setClipStyle({ feather: 0 });
+            await reclipped;
+            assert.equal(helpers.tileAlpha(layer, probes[0]), 255);
+            assert.equal(helpers.tileAlpha(layer, probes[1]), 0);
+            assert.equal(getMapRequests().length, before);
+        });
+
+        test.it('cuts out holes', async function() {
+            var hole = [[15, 75], [15, 85], [25, 85], [25, 75]];
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({}, [[SW, SE, NE, NW], hole]);
+            await helpers.tilesLoaded(layer);
+
+            assert.equal(helpers.tileAlpha(layer, CENTER), 0);
+            assert.equal(helpers.tileAlpha(layer, [12, 72]), 255);
+        });
+
+        test.it('never requests tiles the mask hides', async function() {
+            var before = getMapRequests().length;
+            var skipped = 0;
+
+            map.setView([-40, -60], setup.zooms[1]);
+            addLayer({}, null, { tileskipped: function() { skipped++; } });
+            await helpers.tilesLoaded(layer);
+
+            assert.ok(skipped > 0);
+            assert.equal(getMapRequests().length, before);
+        });
+
+        test.it('re-clips from cached tiles when the boundary changes', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer();
+            await helpers.tilesLoaded(layer);
+            var before = getMapRequests().length;
+
+            layer.setBoundary(L.latLngBounds([15, 75], [25, 85]));
+            await helpers.wait(50);
+
+            assert.equal(getMapRequests().length, before);
+            assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+            assert.equal(helpers.tileAlpha(layer, [12, 72]), 0);
+        });
+
+        test.it('fires cliperror for failed tiles', async function() {
+            var causes = [];
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ layers: wmsServer.BROKEN_LAYER }, null, {
+                cliperror: function(e) { causes.push(e.cause); }
+            });
+            await helpers.tilesLoaded(layer);
+
+            assert.ok(causes.length > 0);
+            assert.ok(causes.every(function(cause) { return cause === 'load'; }));
+        });
+
+        test.it('falls back to client-side clipping when the server refuses serverClip', async function() {
+            var fallbacks = 0;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ layers: wmsServer.NO_CLIP_LAYER, serverClip: 'clip' }, null, {
+                serverclipfallback: function() { fallbacks++; }
+            });
+            await helpers.tilesLoaded(layer);
+
+            assert.equal(fallbacks, 1);
+            assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        });
+
+        test.it('keeps serverClip after server errors', async function() {
+            var fallbacks = 0;
+            var causes = [];
+            var before = getMapRequests().length;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ layers: wmsServer.BROKEN_LAYER, serverClip: 'clip' }, null, {
+                serverclipfallback: function() { fallbacks++; },
+                cliperror: function(e) { causes.push(e.cause); }
+            });
+            await helpers.tilesLoaded(layer);
+
+            assert.equal(fallbacks, 0);
+            assert.ok(causes.length > 0);
+            assert.ok(getMapRequests().slice(before).every(function(params) {
+                return params.clip;
+            }));
+        });
+
+        test.it('sends the boundary simplified for the zoom level with serverClip', async function() {
+            // A circle of 50,000 vertices, far too long for a URL as it is
+            var circle = [];
+            for (var i = 0; i < 50000; i++) {
+                var angle = i / 50000 * 2 * Math.PI;
+                circle.push([20 + 10 * Math.sin(angle), 80 + 10 * Math.cos(angle)]);
+            }
+            var before = getMapRequests().length;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ serverClip: 'clip' }, circle);
+            await helpers.tilesLoaded(layer);
+
+            var clips = getMapRequests().slice(before).map(function(params) {
+                return params.clip;
+            });
+            assert.ok(clips.length > 0);
+            clips.forEach(function(clip) {
+                assert.ok(/^SRID=4326;MULTIPOLYGON/.test(clip));
+                assert.ok(clip.length < 6000);
+            });
+            assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        });
+
+        // Vertices of the CSS clip path of a tile level, in the level's pixels
+        function levelClipPoints(level) {
+            var id = /#([^)"]+)/.exec(level.el.style.clipPath)[1];
+            var d = env.document.getElementById(id).firstChild.getAttribute('d');
+            var points = [];
+            d.replace(/[ML](\S+) (\S+?)(?=[MLZ])/g, function(match, x, y) {
+                points.push(L.point(Number(x), Number(y)));
+            });
+            return points;
+        }
+
+        function hasVertex(points, point) {
+            return points.some(function(vertex) {
+                return vertex.distanceTo(point) < 1e-6;
+            });
+        }
+
+        test.it('clips each zoom level in its own pixels in CSS mode', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ clipMode: 'css' });
+            await helpers.tilesLoaded(layer);
+            map.setZoom(setup.zooms[1]);
+
+            var zooms = Object.keys(layer._levels);
+            assert.ok(zooms.indexOf(String(setup.zooms[1])) >= 0);
+            zooms.forEach(function(zoom) {
+                var level = layer._levels[zoom];
+                var corner = map.project(NE, level.zoom).subtract(level.origin);
+                assert.ok(hasVertex(levelClipPoints(level), corner), 'level ' + zoom);
+            });
+        });
+
+        test.it('clips the world copy in view in CSS mode', async function() {
+            map.setView([20, 440], setup.zooms[0]);
+            addLayer({ clipMode: 'css' });
+
+            var level = layer._levels[map.getZoom()];
+            var corner = map.project([30, 450], level.zoom).subtract(level.origin);
+            assert.ok(hasVertex(levelClipPoints(level), corner));
+
+            layer.setClipMode('canvas');
+            assert.equal(level.el.style.clipPath, '');
+        });
+
+        test.it('skips the tiles outside the boundary in CSS mode', async function() {
+            var skipped = 0;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ clipMode: 'css' }, null, {
+                tileskipped: function() { skipped++; }
+            });
+            await helpers.tilesLoaded(layer);
+
+            function tiles(hidden) {
+                return Object.keys(layer._tiles).map(function(key) {
+                    return layer._tiles[key];
+                }).filter(function(tile) {
+                    return !!tile.el._clipSkipped === hidden;
+                });
+            }
+            var boundary = L.latLngBounds(SW, NE);
+            assert.ok(skipped > 0);
+            assert.equal(tiles(true).length, skipped);
+            tiles(false).forEach(function(tile) {
+                assert.equal(tile.el.tagName, 'IMG');
+                assert.ok(layer._tileCoordsToBounds(tile.coords).intersects(boundary));
+            });
+            tiles(true).forEach(function(tile) {
+                assert.ok(!layer._tileCoordsToBounds(tile.coords).pad(-0.01).intersects(boundary));
+            });
+
+            // Tiles the larger boundary shows are loaded
+            layer.setBoundary(map.getBounds());
+            await helpers.tilesLoaded(layer);
+            assert.equal(tiles(true).length, 0);
+        });
+
+        function featureInfoPopup(options) {
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer(L.extend({ featureInfo: true }, options));
+            var opened = helpers.once(map, 'popupopen');
+            map.fire('click', { latlng: L.latLng(CENTER) });
+            return opened.then(function(e) {
+                return e.popup.getContent();
+            });
+        }
+
+        test.it('sanitises the HTML of the featureInfo popup', async function() {
+            var content = await featureInfoPopup();
+
+            assert.equal(content.querySelector('td').textContent, 'Rain');
+            assert.equal(content.querySelector('table').className, 'featureInfo');
+            assert.equal(content.querySelectorAll('script, style, img, [onclick], [href]').length, 0);
+            assert.equal(content.querySelector('a').textContent, 'Details');
+            assert.equal(env.window.hacked, undefined);
+        });
+
+        test.it('shows the featureInfo HTML as returned with rawFeatureInfo', async function() {
+            assert.equal(await featureInfoPopup({ rawFeatureInfo: true }), FEATURE_INFO_HTML);
+        });
+
+        test.it('shows plain text featureInfo preformatted', async function() {
+            assert.equal(await featureInfoPopup({ infoFormat: 'text/plain' }), '<pre>rain &#60; 5mm</pre>');
+        });
+
+        test.it('exports across the antimeridian at another zoom level with toImage', async function() {
+            map.setView(CENTER, setup.zooms[1]);
+            addLayer({ invertClip: true });
+            await helpers.tilesLoaded(layer);
+            var before = getMapRequests().length;
+
+            var bounds = L.latLngBounds([-10, 60], [40, 200]);
+            var result = await layer.toImage({ bounds: bounds, width: 200, format: 'canvas' });
+            var crs = map.options.crs;
+            var nw = crs.project(bounds.getNorthWest());
+            var se = crs.project(bounds.getSouthEast());
+
+            function alpha(latlng) {
+                var point = crs.project(L.latLng(latlng));
+                var x = Math.floor((point.x - nw.x) / (se.x - nw.x) * result.width);
+                var y = Math.floor((point.y - nw.y) / (se.y - nw.y) * result.height);
+                return result.image.getContext('2d').getImageData(x, y, 1, 1).data[3];
+            }
+            assert.equal(alpha(CENTER), 0);
+            assert.equal(alpha([20, 190]), 255);
+
+            // Tiles past 180° are requested from the world the map shows
+            var world = L.bounds(crs.project(L.latLng(-85, -180)), crs.project(L.latLng(85, 180)));
+            assert.ok(getMapRequests().length > before);
+            getMapRequests().slice(before).forEach(function(params) {
+                var bbox = params.bbox.split(',').map(Number);
+                var x = setup.crs === 'EPSG4326' ? [bbox[1], bbox[3]] : [bbox[0], bbox[2]];
+                assert.ok(x[0] >= world.min.x - 1e-6 && x[1] <= world.max.x + 1e-6, params.bbox);
+            });
+        });
+
+        test.it('counts the pixels of the boundary at another zoom level', async function() {
+            var hole = [[15, 75], [15, 85], [25, 85], [25, 75]];
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({}, [[SW, SE, NE, NW], hole]);
+            await helpers.tilesLoaded(layer);
+
+            var zoom = setup.zooms[0] + 1;
+            var stats = await layer.getClippedStats({ zoom: zoom });
+            var outer = map.project(SE, zoom).subtract(map.project(NW, zoom));
+            var inner = map.project(hole[1], zoom).subtract(map.project(hole[3], zoom));
+            var expected = outer.x * outer.y - inner.x * Math.abs(inner.y);
+
+            assert.ok(Math.abs(stats.pixels / expected - 1) < 0.02, stats.pixels + ' of ' + expected);
+        });
+
+        test.it('applies live edits made around a remove on the next add', async function() {
+            var area = L.polygon([SW, SE, NE, NW]);
+            var changes = 0;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ live: true }, area, {
+                boundarychange: function() { changes++; }
+            });
+            await helpers.tilesLoaded(layer);
+
+            area.setLatLngs([[15, 75], [15, 85], [25, 85], [25, 75]]).fire('edit');
+            layer.remove();
+            await helpers.wait(50);
+            assert.equal(changes, 0);
+
+            layer.addTo(map);
+            await helpers.tilesLoaded(layer);
+            assert.equal(changes, 1);
+            assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+            assert.equal(helpers.tileAlpha(layer, [12, 72]), 0);
+        });
+
+        test.it('hides everything while a live group is emptied', async function() {
+            var area = L.polygon([SW, SE, NE, NW]);
+            var group = L.featureGroup([area]);
+            var changes = [];
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({ live: true }, group, {
+                boundarychange: function(e) { changes.push(e.boundary.length); }
+            });
+            await helpers.tilesLoaded(layer);
+
+            group.removeLayer(area);
+            await helpers.wait(50);
+            assert.deepEqual(changes, [0]);
+            assert.equal(helpers.tileAlpha(layer, CENTER), 0);
+
+            group.addLayer(area);
+            await helpers.wait(50);
+            assert.deepEqual(changes, [0, 1]);
+            assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        });
+
+        test.it('holds tiles until a remote boundary has loaded', async function() {
+            var before = getMapRequests().length;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({}, { url: server.origin + '/boundary.geojson' });
+            assert.equal(getMapRequests().length, before);
+
+            await helpers.once(layer, 'boundaryload');
+            await helpers.tilesLoaded(layer);
+
+            assert.ok(getMapRequests().length > before);
+            assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+            assert.equal(helpers.tileAlpha(layer, [40, 80]), 0);
+        });
+
+        test.it('fires boundaryerror for an empty remote boundary', async function() {
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({}, { url: server.origin + '/empty.wkt' });
+            var failed = await helpers.once(layer, 'boundaryerror');
+
+            assert.equal(failed.cause, 'decode');
+            assert.ok(/does not contain any polygon/.test(failed.error.message));
+        });
+
+        test.it('loads the capabilities on add to check the extent with checkExtent', async function() {
+            var before = server.requests.length;
+            map.setView([-30, -50], setup.zooms[0]);
+            addLayer({ checkExtent: true }, L.latLngBounds([-40, -60], [-20, -40]));
+            var warning = await helpers.once(layer, 'extentwarning');
+
+            assert.deepEqual(helpers.plain(warning.layers), ['ws:rain']);
+            assert.equal(server.requests.slice(before).filter(function(params) {
+                return params.request === 'GetCapabilities';
+            }).length, 1);
+        });
+
+        test.it('leaves the capabilities alone by default', async function() {
+            var before = server.requests.length;
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer();
+            await helpers.tilesLoaded(layer);
+
+            assert.ok(server.requests.slice(before).every(function(params) {
+                return params.request !== 'GetCapabilities';
+            }));
+        });
+
+        test.it('warns when the boundary misses the advertised extent', async function() {
+            var warnings = [];
+            map.setView(CENTER, setup.zooms[0]);
+            addLayer({}, null, {
+                extentwarning: function(e) { warnings.push(e); }
+            });
+            await layer.getCapabilities();
+            assert.equal(warnings.length, 0);
+
+            layer.setBoundary(L.latLngBounds([-40, -60], [-20, -40]));
+            assert.equal(warnings.length, 1);
+            assert.deepEqual(helpers.plain(warnings[0].layers), ['ws:rain']);
+            assert.equal(warnings[0].layerBounds.toBBoxString(), '60,0,100,40');
+        });
+    });
+});
+
+test.describe('Request options', function() {
+    var env, L, map, layer, causes;
+
+    test.beforeEach(function() {
+        env = helpers.createEnvironment();
+        L = env.L;
+        map = helpers.createMap(env).setView(CENTER, 5);
+        causes = [];
+    });
+
+    test.afterEach(function() {
+        map.remove();
+        env.window.close();
+    });
+
+    function addLayer(options) {
+        layer = L.tileLayer.wms.clipped(server.url, options, L.latLngBounds(SW, NE));
+        layer.on('cliperror', function(e) { causes.push(e.cause); });
+        return layer.addTo(map);
+    }
+
+    // GetMap requests of a layer by BBOX
+    function tries(layers) {
+        var counts = {};
+        getMapRequests().forEach(function(params) {
+            if (params.layers === layers) {
+                counts[params.bbox] = (counts[params.bbox] || 0) + 1;
+            }
+        });
+        return Object.keys(counts).map(function(bbox) { return counts[bbox]; });
+    }
+
+    test.it('tries failed tiles once by default', async function() {
+        addLayer({ layers: 'flaky:1' });
+        await helpers.tilesLoaded(layer);
+
+        assert.ok(causes.length > 0);
+        assert.ok(causes.every(function(cause) { return cause === 'load'; }));
+        assert.ok(tries('flaky:1').every(function(count) { return count === 1; }));
+    });
+
+    test.it('tries failed tiles again with retry', async function() {
+        addLayer({ layers: 'flaky:2', retry: { count: 2, backoff: 5 } });
+        await helpers.tilesLoaded(layer);
+
+        assert.deepEqual(causes, []);
+        assert.ok(tries('flaky:2').length > 0);
+        assert.ok(tries('flaky:2').every(function(count) { return count === 3; }));
+        assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+    });
+
+    test.it('gives up on requests after the timeout', async function() {
+        addLayer({ layers: 'slow:1000', timeout: 50 });
+        await helpers.tilesLoaded(layer);
+
+        assert.ok(causes.length > 0);
+        assert.ok(causes.every(function(cause) { return cause === 'timeout'; }));
+    });
+
+    test.it('keeps at most maxConcurrentRequests requests in flight', async function() {
+        addLayer({ layers: 'slow:30', maxConcurrentRequests: 2 });
+        await helpers.tilesLoaded(layer);
+
+        assert.deepEqual(causes, []);
+        assert.ok(tries('slow:30').length > 2);
+        assert.equal(server.maxInFlight('slow:30'), 2);
+        assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+    });
+
+    test.it('draws the fallback tile into tiles that failed before it loaded', async function() {
+        addLayer({ layers: wmsServer.BROKEN_LAYER, fallbackTile: server.origin + '/fallback.png' });
+        await helpers.tilesLoaded(layer);
+        assert.ok(causes.length > 0);
+
+        await helpers.wait(300);
+        assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        assert.equal(helpers.tileAlpha(layer, [30.5, 80]), 0);
+    });
+});
+
+test.describe('L.ClipMixin', function() {
+    var env, L, map;
+
+    test.beforeEach(function() {
+        env = helpers.createEnvironment();
+        L = env.L;
+        map = helpers.createMap(env).setView(CENTER, 5);
+    });
+
+    test.afterEach(function() {
+        map.remove();
+        env.window.close();
+    });
+
+    function clippedClass(methods) {
+        return L.TileLayer.WMS.extend(L.extend({
+            includes: L.ClipMixin,
+
+            initialize: function(url, options, boundary) {
+                L.TileLayer.WMS.prototype.initialize.call(this, url, options);
+                this._initClip(boundary);
+            }
+        }, methods));
+    }
+
+    test.it('runs hooks the layer class calls', async function() {
+        var added = 0;
+        var Layer = clippedClass({
+            onAdd: function(map) {
+                L.ClipMixin.onAdd.call(this, map);
+                added++;
+            }
+        });
+        var layer = new Layer(server.url, { layers: 'ws:rain' }, L.latLngBounds(SW, NE)).addTo(map);
+        await helpers.tilesLoaded(layer);
+
+        assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        assert.equal(helpers.tileAlpha(layer, [12, 92]), 0);
+        layer.remove();
+
+        assert.equal(added, 1);
+    });
+});
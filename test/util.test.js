@@ -0,0 +1,249 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/environment');
+
+var env = helpers.createEnvironment();
+var L = env.L;
+var util = L.WMSCrop.util;
+var plain = helpers.plain;
+
+test.after(function() {
+    env.window.close();
+});
+
+var SQUARE = [[10, 70], [10, 90], [30, 90], [30, 70], [10, 70]];
+
+test.describe('normalizeBoundary', function() {
+    test.it('accepts a flat array of [lat, lng] pairs', function() {
+        assert.deepEqual(plain(util.normalizeBoundary(SQUARE)), [[SQUARE]]);
+    });
+
+    test.it('accepts L.LatLngBounds, with midpoints on the long edges', function() {
+        var polygons = util.normalizeBoundary(L.latLngBounds([10, 70], [30, 90]));
+        assert.equal(polygons.length, 1);
+        assert.deepEqual(plain(polygons[0][0]), [[10, 70], [30, 70], [30, 80], [30, 90], [10, 90], [10, 80], [10, 70]]);
+    });
+
+    test.it('keeps holes and multi-polygon parts of L.Polygon', function() {
+        var polygon = L.polygon([
+            [SQUARE, [[15, 75], [15, 80], [20, 80], [20, 75]]],
+            [[[0, 0], [0, 5], [5, 5]]]
+        ]);
+        var polygons = util.normalizeBoundary(polygon);
+        assert.equal(polygons.length, 2);
+        assert.equal(polygons[0].length, 2);
+        assert.equal(polygons[1].length, 1);
+    });
+
+    test.it('converts GeoJSON [lng, lat] positions', function() {
+        var feature = {
+            type: 'Feature',
+            properties: {},
+            geometry: { type: 'Polygon', coordinates: [[[70, 10], [90, 10], [90, 30], [70, 10]]] }
+        };
+        assert.deepEqual(plain(util.normalizeBoundary(feature)), [[[[10, 70], [10, 90], [30, 90], [10, 70]]]]);
+    });
+
+    test.it('combines collections and ignores non-polygonal members', function() {
+        var collection = {
+            type: 'FeatureCollection',
+            features: [
+                { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } },
+                { type: 'Feature', geometry: null },
+                { type: 'Feature', geometry: { type: 'MultiPolygon', coordinates: [
+                    [[[0, 0], [1, 0], [1, 1], [0, 0]]],
+                    [[[5, 5], [6, 5], [6, 6], [5, 5]]]
+                ] } }
+            ]
+        };
+        assert.equal(util.normalizeBoundary(collection).length, 2);
+    });
+
+    test.it('parses WKT and EWKT', function() {
+        assert.deepEqual(plain(util.normalizeBoundary('POLYGON((70 10, 90 10, 90 30, 70 10))')),
+            [[[[10, 70], [10, 90], [30, 90], [10, 70]]]]);
+        assert.deepEqual(plain(util.normalizeBoundary('SRID=4326;MULTIPOLYGON Z (((0 0 1, 1 0 1, 1 1 1, 0 0 1)))')),
+            [[[[0, 0], [0, 1], [1, 1], [0, 0]]]]);
+    });
+
+    test.it('decodes quantized TopoJSON objects', function() {
+        var topology = {
+            type: 'Topology',
+            transform: { scale: [0.01, 0.01], translate: [70, 10] },
+            objects: {
+                area: { type: 'GeometryCollection', geometries: [{ type: 'Polygon', arcs: [[0, 1]] }] }
+            },
+            arcs: [
+                [[0, 0], [2000, 0], [0, 2000]],
+                [[2000, 2000], [-2000, 0], [0, -2000]]
+            ]
+        };
+        assert.deepEqual(plain(util.normalizeBoundary({ topology: topology, object: 'area' })),
+            [[[[10, 70], [10, 90], [30, 90], [30, 70], [10, 70]]]]);
+        assert.throws(function() {
+            util.normalizeBoundary({ topology: topology, object: 'missing' });
+        }, /TopoJSON object "missing" not found/);
+    });
+
+    test.it('rejects unsupported and empty boundaries', function() {
+        assert.throws(function() { util.normalizeBoundary(42); }, /Unsupported boundary format/);
+        assert.throws(function() { util.normalizeBoundary({ type: 'FeatureCollection', features: [] }); },
+            /does not contain any polygon/);
+        assert.throws(function() { util.normalizeBoundary('POLYGON((0 0, 1 1)'); }, /Invalid WKT/);
+    });
+
+    test.it('rejects empty WKT geometries and skips empty members', function() {
+        ['POLYGON EMPTY', 'MULTIPOLYGON EMPTY', 'MULTIPOLYGON (EMPTY, EMPTY)', { type: 'Polygon', coordinates: [] }].forEach(function(boundary) {
+            assert.throws(function() { util.normalizeBoundary(boundary); }, /does not contain any polygon/);
+        });
+        assert.deepEqual(plain(util.normalizeBoundary('MULTIPOLYGON (EMPTY, ((0 0, 1 0, 1 1, 0 0)))')),
+            [[[[0, 0], [0, 1], [1, 1], [0, 0]]]]);
+    });
+});
+
+test.describe('pointInPolygon', function() {
+    var ring = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+    test.it('tells inside from outside', function() {
+        assert.equal(util.pointInPolygon({ x: 5, y: 5 }, ring), true);
+        assert.equal(util.pointInPolygon({ x: 15, y: 5 }, ring), false);
+        assert.equal(util.pointInPolygon({ x: 5, y: -1 }, ring), false);
+    });
+
+    test.it('handles concave rings', function() {
+        var notch = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 5, y: 5 }, { x: 0, y: 10 }];
+        assert.equal(util.pointInPolygon({ x: 5, y: 8 }, notch), false);
+        assert.equal(util.pointInPolygon({ x: 5, y: 2 }, notch), true);
+    });
+});
+
+test.describe('unwrapPolygons', function() {
+    test.it('takes edges longer than 180° across the antimeridian', function() {
+        var fiji = util.unwrapPolygons(util.normalizeBoundary([[-16, 177], [-16, -179], [-19, -179], [-19, 177]]));
+        assert.equal(util.boundaryBounds(fiji).toBBoxString(), '177,-19,181,-16');
+    });
+
+    test.it('closes rings around a pole through the pole', function() {
+        var arctic = util.unwrapPolygons([[[[70, -170], [70, -90], [70, 0], [70, 90], [70, 170]]]]);
+        assert.equal(util.boundaryBounds(arctic).toBBoxString(), '-170,70,190,90');
+    });
+
+    test.it('keeps a whole-world box whose edges lie on ±180°', function() {
+        var world = util.normalizeBoundary([[-85, -180], [-85, 180], [85, 180], [85, -180]]);
+        assert.equal(util.boundaryBounds(util.unwrapPolygons(world)).toBBoxString(), '-180,-85,180,85');
+
+        var map = L.map(env.document.createElement('div')).setView([20, 0], 3);
+        var coords = map.project([20, 0], 3).unscaleBy(L.point(256, 256)).floor();
+        coords.z = 3;
+        assert.equal(util.tileIntersectsBoundary(world, coords, L.point(256, 256), map), true);
+        map.remove();
+    });
+
+    test.it('keeps boxes wider than 180° unless told they cross', function() {
+        var wide = util.normalizeBoundary([[-10, -100], [10, -100], [10, 100], [-10, 100]]);
+        assert.equal(util.boundaryBounds(util.unwrapPolygons(wide)).toBBoxString(), '-100,-10,100,10');
+        assert.equal(util.boundaryBounds(util.unwrapPolygons(wide, 'always')).toBBoxString(), '-260,-10,-100,10');
+        assert.equal(util.unwrapPolygons(util.normalizeBoundary([[-16, 177], [-16, -179], [-19, -179]]), 'never')[0][0][1][1], -179);
+    });
+
+    test.it('closes closed rings around a pole at the ±180° seam', function() {
+        var arctic = util.normalizeBoundary({ type: 'Polygon', coordinates: [
+            [[-180, 66.5], [-90, 66.5], [0, 66.5], [90, 66.5], [180, 66.5], [-180, 66.5]]
+        ] });
+        assert.equal(util.boundaryBounds(util.unwrapPolygons(arctic)).toBBoxString(), '-180,66.5,180,90');
+    });
+});
+
+test.describe('tile helpers', function() {
+    var container = env.document.getElementById('map');
+    var map = L.map(container).setView([20, 80], 4);
+    var tileSize = L.point(256, 256);
+
+    test.it('projectToTilePixels maps tile corners to 0 and 256', function() {
+        var coords = L.point(11, 6);
+        coords.z = 4;
+        var nw = map.unproject(coords.scaleBy(tileSize), 4);
+        var se = map.unproject(coords.add([1, 1]).scaleBy(tileSize), 4);
+
+        var nwPixel = util.projectToTilePixels(nw, coords, tileSize, map);
+        var sePixel = util.projectToTilePixels(se, coords, tileSize, map);
+        assert.ok(Math.abs(nwPixel.x) < 1e-6 && Math.abs(nwPixel.y) < 1e-6);
+        assert.ok(Math.abs(sePixel.x - 256) < 1e-6 && Math.abs(sePixel.y - 256) < 1e-6);
+    });
+
+    test.it('projectToTilePixels interpolates in the request CRS', function() {
+        var coords = L.point(11, 6);
+        coords.z = 4;
+        var center = map.unproject(coords.add([0.5, 0.5]).scaleBy(tileSize), 4);
+
+        // The tile center is a tile center in EPSG:3857, but not in EPSG:4326 latitudes
+        var mercator = util.projectToTilePixels(center, coords, tileSize, map);
+        var plate = util.projectToTilePixels(center, coords, tileSize, map, L.CRS.EPSG4326);
+        assert.ok(Math.abs(mercator.y - 128) < 1e-6);
+        assert.ok(Math.abs(plate.y - 128) > 1);
+    });
+
+    test.it('tileIntersectsBoundary tells hidden tiles apart', function() {
+        var boundary = util.normalizeBoundary(L.latLngBounds([10, 70], [30, 90]));
+        var zoom = 6;
+
+        function tileAt(latlng) {
+            var coords = map.project(latlng, zoom).unscaleBy(tileSize).floor();
+            coords.z = zoom;
+            return coords;
+        }
+
+        assert.equal(util.tileIntersectsBoundary(boundary, tileAt([20, 80]), tileSize, map), true);
+        assert.equal(util.tileIntersectsBoundary(boundary, tileAt([10, 70]), tileSize, map), true);
+        assert.equal(util.tileIntersectsBoundary(boundary, tileAt([50, 80]), tileSize, map), false);
+        assert.equal(util.tileIntersectsBoundary(boundary, tileAt([20, 120]), tileSize, map), false);
+    });
+
+    test.it('tileIntersectsBoundary checks world copies across the antimeridian', function() {
+        var fiji = util.normalizeBoundary([[-16, 177], [-16, -179], [-19, -179], [-19, 177]]);
+        var east = map.project([-17.5, 179.5], 5).unscaleBy(tileSize).floor();
+        var west = map.project([-17.5, -179.5], 5).unscaleBy(tileSize).floor();
+        var far = map.project([-17.5, 160], 5).unscaleBy(tileSize).floor();
+        east.z = west.z = far.z = 5;
+
+        assert.equal(util.tileIntersectsBoundary(fiji, east, tileSize, map), true);
+        assert.equal(util.tileIntersectsBoundary(fiji, west, tileSize, map), true);
+        assert.equal(util.tileIntersectsBoundary(fiji, far, tileSize, map), false);
+    });
+});
+
+test.describe('parseCapabilities', function() {
+    var xml = '<?xml version="1.0"?>' +
+        '<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">' +
+        '<Service><Title>Test server</Title></Service>' +
+        '<Capability><Layer><Title>Root</Title><CRS>EPSG:3857</CRS>' +
+        '<Style><Name>default</Name><LegendURL><Format>image/png</Format>' +
+        '<OnlineResource xlink:href="http://legend/default.png"/></LegendURL></Style>' +
+        '<Layer queryable="1"><Name>ws:rain</Name><Title>Rainfall</Title><CRS>EPSG:4326</CRS>' +
+        '<EX_GeographicBoundingBox><westBoundLongitude>60</westBoundLongitude><eastBoundLongitude>100</eastBoundLongitude>' +
+        '<southBoundLatitude>0</southBoundLatitude><northBoundLatitude>40</northBoundLatitude></EX_GeographicBoundingBox>' +
+        '<Dimension name="time" units="ISO8601" default="2020-02">2020-01,2020-02</Dimension>' +
+        '</Layer></Layer></Capability></WMS_Capabilities>';
+
+    test.it('reads layers with what they inherit', function() {
+        var capabilities = util.parseCapabilities(xml);
+        var rain = capabilities.layers[1];
+
+        assert.equal(capabilities.version, '1.3.0');
+        assert.equal(capabilities.title, 'Test server');
+        assert.equal(rain.name, 'ws:rain');
+        assert.equal(rain.queryable, true);
+        assert.deepEqual(plain(rain.crs), ['EPSG:3857', 'EPSG:4326']);
+        assert.equal(rain.bounds.toBBoxString(), '60,0,100,40');
+        assert.equal(rain.styles[0].legend.url, 'http://legend/default.png');
+        assert.deepEqual(plain(rain.dimensions), [{ name: 'time', units: 'ISO8601', default: '2020-02', values: ['2020-01', '2020-02'] }]);
+    });
+
+    test.it('rejects service exceptions', function() {
+        assert.throws(function() {
+            util.parseCapabilities('<ServiceExceptionReport><ServiceException>Unknown layer</ServiceException></ServiceExceptionReport>');
+        }, /Unknown layer/);
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+test.before(function() {
+    return wmsServer.startWmsServer().then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+var CENTER = [20, 80];
+
+test.describe('useWorker', function() {
+    var env, L, map, layer, errors;
+
+    function setup(options) {
+        env = helpers.createEnvironment(Object.assign({ url: server.origin + '/map/', workers: true }, options));
+        L = env.L;
+        map = helpers.createMap(env).setView(CENTER, 5);
+        errors = [];
+    }
+
+    function addLayer(url, options) {
+        layer = L.tileLayer.wms.clipped(url, L.extend({
+            layers: 'ws:rain',
+            useWorker: true,
+            retry: { count: 0 }
+        }, options), L.latLngBounds([10, 70], [30, 90]));
+        layer.on('cliperror', function(e) { errors.push(e.cause); });
+        return layer.addTo(map);
+    }
+
+    test.afterEach(function() {
+        map.remove();
+        env.window.close();
+    });
+
+    test.it('resolves relative WMS URLs against the document', async function() {
+        setup();
+        addLayer('/wms');
+        await helpers.tilesLoaded(layer);
+
+        assert.deepEqual(errors, []);
+        assert.ok(env.workers.fetches.length > 0);
+        assert.ok(env.workers.fetches.every(function(url) {
+            return url.indexOf(server.url + '?') === 0;
+        }));
+        assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        assert.equal(helpers.tileAlpha(layer, [30.5, 80]), 0);
+    });
+
+    test.it('loads tiles on the main thread when the worker cannot fetch them', async function() {
+        setup({
+            workerFetch: function() {
+                return Promise.reject(new TypeError('Failed to fetch'));
+            }
+        });
+        addLayer(server.url);
+        await helpers.tilesLoaded(layer);
+
+        assert.deepEqual(errors, []);
+        assert.ok(env.workers.fetches.length > 0);
+        assert.equal(helpers.tileAlpha(layer, CENTER), 255);
+        assert.equal(helpers.tileAlpha(layer, [30.5, 80]), 0);
+    });
+
+    test.it('rejects exports still loading in the worker on remove', async function() {
+        setup({
+            workerFetch: function() {
+                return new Promise(function() {});
+            }
+        });
+        addLayer(server.url);
+        var rejected = [];
+        layer.toImage({ bounds: L.latLngBounds([15, 75], [25, 85]), width: 100 }).catch(function() {
+            rejected.push('toImage');
+        });
+        layer.getClippedStats().catch(function() {
+            rejected.push('getClippedStats');
+        });
+        await helpers.wait(50);
+
+        layer.remove();
+        await helpers.wait(0);
+        assert.deepEqual(rejected.sort(), ['getClippedStats', 'toImage']);
+        assert.deepEqual(errors, []);
+    });
+
+    test.it('closes the bitmaps the cache evicts, and all of them on remove', async function() {
+        setup();
+
+        // Room for a single 256x256 tile
+        addLayer(server.url, { cacheMaxBytes: 300000 });
+        await helpers.tilesLoaded(layer);
+
+        function open() {
+            return env.workers.bitmaps.filter(function(bitmap) {
+                return !bitmap.closed;
+            }).length;
+        }
+        assert.ok(env.workers.bitmaps.length > 2);
+        assert.equal(open(), 1);
+
+        layer.remove();
+        assert.equal(open(), 0);
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert/strict');
+var helpers = require('./helpers/environment');
+var wmsServer = require('./helpers/wms-server');
+
+var server;
+
+test.before(function() {
+    return wmsServer.startWmsServer().then(function(started) {
+        server = started;
+    });
+});
+
+test.after(function() {
+    return server.close();
+});
+
+var CENTER = [20, 80];
+var BOUNDS = [[10, 70], [30, 90]];
+
+// Tile requests since an index, as {z, x, y} read from the URL by parse(url)
+function tileRequests(since, parse) {
+    return server.tiles.slice(since).map(function(path) {
+        return parse(new URL(path, server.origin));
+    });
+}
+
+var layers = [
+    {
+        name: 'L.TileLayer.Clipped',
+        create: function(L, boundary) {
+            return L.tileLayer.clipped(server.origin + '/tiles/xyz/{z}/{x}/{y}.png', { zoomOffset: 1 }, boundary);
+        },
+        parse: function(url) {
+            var parts = url.pathname.split('/');
+            return { z: Number(parts[3]) - 1, x: Number(parts[4]), y: parseInt(parts[5], 10) };
+        }
+    },
+    {
+        name: 'L.TileLayer.WMTS.Clipped (REST)',
+        create: function(L, boundary) {
+            return L.tileLayer.wmts.clipped(server.origin + '/tiles/rest/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png', {
+                layer: 'rain',
+                tileMatrixLabels: function(zoom) { return 'EPSG:3857:' + zoom; }
+            }, boundary);
+        },
+        parse: function(url) {
+            var parts = url.pathname.split('/');
+            return { z: Number(parts[4].split(':')[2]), x: parseInt(parts[6], 10), y: Number(parts[5]) };
+        }
+    },
+    {
+        name: 'L.TileLayer.WMTS.Clipped (KVP)',
+        create: function(L, boundary) {
+            return L.tileLayer.wmts.clipped(server.origin + '/tiles/kvp', { layer: 'rain' }, boundary);
+        },
+        parse: function(url) {
+            var params = url.searchParams;
+            return { z: Number(params.get('tilematrix')), x: Number(params.get('tilecol')), y: Number(params.get('tilerow')) };
+        }
+    }
+];
+
+layers.forEach(function(setup) {
+    test.describe(setup.name, function() {
+        var env, L, map, layer;
+
+        test.beforeEach(function() {
+            env = helpers.createEnvironment();
+            L = env.L;
+            map = helpers.createMap(env);
+        });
+
+        test.afterEach(function() {
+            map.remove();
+            env.window.close();
+        });
+
+        // Whether a tile of the URL covers part of a latlng extent
+        function tileTouches(tile, bounds) {
+            var nw = map.unproject(L.point(tile.x, tile.y).multiplyBy(256), tile.z);
+            var se = map.unproject(L.point(tile.x + 1, tile.y + 1).multiplyBy(256), tile.z);
+            return L.latLngBounds(nw, se).intersects(bounds);
+        }
+
+        test.it('requests the tiles of another zoom level with toImage', async function() {
+            map.setView(CENTER, 4);
+            layer = setup.create(L, L.latLngBounds(BOUNDS)).addTo(map);
+            await helpers.tilesLoaded(layer);
+            var before = server.tiles.length;
+
+            var bounds = L.latLngBounds(BOUNDS);
+            var result = await layer.toImage({ bounds: bounds, width: 1024, format: 'canvas' });
+            var tiles = tileRequests(before, setup.parse);
+
+            assert.ok(tiles.length > 0);
+            tiles.forEach(function(tile) {
+                assert.ok(tile.z > 4, 'zoom ' + tile.z);
+                assert.ok(tileTouches(tile, bounds), JSON.stringify(tile));
+            });
+            var ctx = result.image.getContext('2d');
+            assert.equal(ctx.getImageData(result.width / 2, result.height / 2, 1, 1).data[3], 255);
+        });
+
+        test.it('requests tiles past 180° from the world the map shows with toImage', async function() {
+            map.setView(CENTER, 3);
+            layer = setup.create(L, L.latLngBounds(BOUNDS)).addTo(map);
+            layer.setInvert(true);
+            await helpers.tilesLoaded(layer);
+            var before = server.tiles.length;
+
+            var bounds = L.latLngBounds([-10, 60], [40, 200]);
+            var result = await layer.toImage({ bounds: bounds, width: 200, format: 'canvas' });
+            var tiles = tileRequests(before, setup.parse);
+
+            assert.ok(tiles.length > 0);
+            tiles.forEach(function(tile) {
+                var count = Math.pow(2, tile.z);
+                assert.ok(tile.x >= 0 && tile.x < count && tile.y >= 0 && tile.y < count, JSON.stringify(tile));
+            });
+
+            // Past 180° the export is drawn from the wrapped tiles
+            var nw = map.options.crs.project(bounds.getNorthWest());
+            var se = map.options.crs.project(bounds.getSouthEast());
+            var point = map.options.crs.project(L.latLng(20, 190));
+            var x = Math.floor((point.x - nw.x) / (se.x - nw.x) * result.width);
+            var y = Math.floor((point.y - nw.y) / (se.y - nw.y) * result.height);
+            assert.equal(result.image.getContext('2d').getImageData(x, y, 1, 1).data[3], 255);
+        });
+    });
+});